@@ -6,7 +6,7 @@
   'use strict';
 
   // ------------------------------------------
-  // Utility: Debounce / Throttle
+  // Utility: Debounce / Throttle / Escape / Download
   // ------------------------------------------
   function debounce(fn, ms) {
     let timer;
@@ -27,49 +27,417 @@
     };
   }
 
+  function escapeHTML(str) {
+    return String(str).replace(/[&<>"']/g, c => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+  }
+
+  function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
   // ------------------------------------------
   // Check reduced-motion preference
   // ------------------------------------------
   const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
+  // ------------------------------------------
+  // Internationalization
+  // ------------------------------------------
+  // English is the source language: the markup and the strings passed to t()
+  // double as message keys, and a locale bundle (assets/data/locales/<code>.json)
+  // maps them to translations plus translated scenario content. Markup opts in
+  // with data-i18n (text) and data-i18n-attr="aria-label title" (attributes);
+  // text rendered from JS calls t() and re-renders through onLocaleChange.
+  const LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    de: { name: 'Deutsch', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+  };
+  const DEFAULT_LOCALE = 'en';
+  const LOCALE_STORAGE_KEY = 'futurecities:locale';
+  const LOCALE_BUNDLE_FORMAT = 'futurecities-locale';
+  const SCENARIO_TEXT_FIELDS = ['title', 'tag', 'hook', 'motif', 'lore', 'alt'];
+  const EMPTY_BUNDLE = { messages: {}, scenarios: {} };
+  let locale = DEFAULT_LOCALE;
+  let localeBundle = EMPTY_BUNDLE;
+  let localeRequest = 0;
+  const localeChangeCallbacks = [];
+  const numberFormats = new Map();
+  const pluralRules = new Map();
+  const markupSources = new WeakMap(); // Element → its English text and attributes
+
+  // Translates `text`, filling {name} placeholders from `vars`
+  function t(text, vars) {
+    const messages = localeBundle.messages;
+    const template = Object.prototype.hasOwnProperty.call(messages, text) ? messages[text] : text;
+    if (!vars) return template;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+  }
+
+  // t() for a counted phrase. English only needs `one` and `other`; a bundle
+  // can add the remaining plural categories of its language (Arabic zero, two,
+  // few, many) as "<other>|<category>" keys, e.g. "{count} towers|two".
+  function tPlural(count, one, other, vars) {
+    if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+    const category = pluralRules.get(locale).select(count);
+    const key = `${other}|${category}`;
+    const fallback = category === 'one' ? one : other;
+    return t(Object.prototype.hasOwnProperty.call(localeBundle.messages, key) ? key : fallback, vars);
+  }
+
+  function formatNumber(value, options) {
+    const key = locale + JSON.stringify(options || {});
+    if (!numberFormats.has(key)) numberFormats.set(key, new Intl.NumberFormat(locale, options));
+    return numberFormats.get(key).format(value);
+  }
+
+  // Whole-number percentage, e.g. "72%", "72 %" or "٧٢٪"
+  function formatPercent(value) {
+    return formatNumber(value / 100, { style: 'percent', maximumFractionDigits: 0 });
+  }
+
+  // Called after every language switch, and not at all while English stays on
+  function onLocaleChange(callback) {
+    localeChangeCallbacks.push(callback);
+  }
+
+  function validateLocaleBundle(raw, code) {
+    if (!raw || typeof raw !== 'object' || raw.format !== LOCALE_BUNDLE_FORMAT) {
+      throw new Error(`Locale bundle must have "format": "${LOCALE_BUNDLE_FORMAT}"`);
+    }
+    if (raw.locale !== code) throw new Error(`Locale bundle is for "${raw.locale}", expected "${code}"`);
+    if (!raw.messages || typeof raw.messages !== 'object') throw new Error('Locale bundle needs a "messages" object');
+    const messages = {};
+    Object.keys(raw.messages).forEach(key => {
+      if (typeof raw.messages[key] === 'string') messages[key] = raw.messages[key];
+      else console.warn(`Locale "${code}": message "${key}" is not a string`);
+    });
+    const scenarios = {};
+    Object.keys(raw.scenarios || {}).forEach(id => {
+      const entry = raw.scenarios[id] || {};
+      const text = {};
+      SCENARIO_TEXT_FIELDS.forEach(key => {
+        if (typeof entry[key] === 'string') text[key] = entry[key];
+      });
+      if (Array.isArray(entry.features) && entry.features.every(f => typeof f === 'string')) text.features = entry.features;
+      scenarios[id] = text;
+    });
+    return { messages, scenarios };
+  }
+
+  function loadLocaleBundle(code) {
+    if (code === DEFAULT_LOCALE) return Promise.resolve(EMPTY_BUNDLE);
+    return fetch(`assets/data/locales/${code}.json`)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then(raw => validateLocaleBundle(raw, code));
+  }
+
+  // Keys come from the original English, remembered before the first swap
+  function translateMarkup() {
+    document.querySelectorAll('[data-i18n], [data-i18n-attr]').forEach(el => {
+      let source = markupSources.get(el);
+      if (!source) {
+        source = { text: el.hasAttribute('data-i18n') ? el.textContent.trim().replace(/\s+/g, ' ') : null, attrs: {} };
+        (el.dataset.i18nAttr || '').split(/\s+/).filter(Boolean).forEach(name => {
+          source.attrs[name] = el.getAttribute(name);
+        });
+        markupSources.set(el, source);
+      }
+      if (source.text !== null) el.textContent = t(source.text);
+      Object.keys(source.attrs).forEach(name => el.setAttribute(name, t(source.attrs[name])));
+    });
+  }
+
+  function storedLocale() {
+    try {
+      const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+      if (LOCALES[stored]) return stored;
+    } catch (e) {
+      // Storage unavailable: use the browser language
+    }
+    const preferred = (navigator.languages || [navigator.language || ''])
+      .map(tag => String(tag).slice(0, 2).toLowerCase())
+      .find(code => LOCALES[code]);
+    return preferred || DEFAULT_LOCALE;
+  }
+
+  function setLocale(code, remember = true) {
+    if (!LOCALES[code]) code = DEFAULT_LOCALE;
+    const request = ++localeRequest;
+    return loadLocaleBundle(code)
+      .then(bundle => {
+        if (request !== localeRequest) return; // A later switch won
+        locale = code;
+        localeBundle = bundle;
+        document.documentElement.lang = code;
+        document.documentElement.dir = LOCALES[code].dir;
+        translateMarkup();
+        localeChangeCallbacks.forEach(callback => callback());
+        if (localeSelect) localeSelect.value = code;
+        if (remember) {
+          try {
+            localStorage.setItem(LOCALE_STORAGE_KEY, code);
+          } catch (e) {
+            // Storage unavailable: the language lasts for this visit only
+          }
+        }
+      })
+      .catch(err => {
+        console.error(`Could not load the "${code}" language bundle:`, err);
+        if (request !== localeRequest) return;
+        if (localeSelect) localeSelect.value = locale;
+        showToast(t('That language could not be loaded — staying with {language}', { language: LOCALES[locale].name }));
+      });
+  }
+
+  const localeSelect = document.getElementById('locale-select');
+  if (localeSelect) {
+    localeSelect.innerHTML = Object.keys(LOCALES)
+      .map(code => `<option value="${code}" lang="${code}">${escapeHTML(LOCALES[code].name)}</option>`).join('');
+    localeSelect.addEventListener('change', () => setLocale(localeSelect.value));
+  }
+
+  // ------------------------------------------
+  // Performance Governor
+  // ------------------------------------------
+  // Decorative effects read their budget from the active effects level. On
+  // "auto" a frame-time monitor steps the level down when the page drops
+  // frames and back up once it has stayed smooth; the user can also pin a
+  // level. Loops made with createFrameLoop() sit out hidden tabs.
+  const EFFECTS_STORAGE_KEY = 'futurecities:effects';
+  const EFFECTS_LEVELS = ['low', 'medium', 'high'];
+  const EFFECTS_PROFILES = {
+    high: { particles: 150, linkDistance: 120, cityFrameInterval: 50, cursorGlow: true, parallax: true },
+    medium: { particles: 90, linkDistance: 90, cityFrameInterval: 80, cursorGlow: true, parallax: true },
+    low: { particles: 35, linkDistance: 0, cityFrameInterval: 150, cursorGlow: false, parallax: false }
+  };
+  const FPS_SAMPLE_MS = 2000;
+  // Share of the display's frames actually drawn. The display interval is the
+  // median frame delta of each sample, so 30 Hz screens and browsers that
+  // throttle rAF aren't mistaken for slow pages.
+  const FPS_DOWNGRADE = 0.7;
+  const FPS_UPGRADE = 0.92;
+  const FPS_UPGRADE_SAMPLES = 3;     // Smooth samples in a row before stepping up
+  const FPS_UPGRADE_SAMPLES_MAX = 48; // Backoff cap (~1.5 min) for pages that flip-flop
+  const FRAME_GAP_MS = 1000;          // Longer gaps are pauses, not slow frames
+  let effectsSetting = 'auto';
+  let effectsLevel = 'high';
+  const effectsChangeCallbacks = [];
+  const frameLoops = [];
+
+  function effectsProfile() {
+    return EFFECTS_PROFILES[effectsLevel];
+  }
+
+  function onEffectsChange(cb) {
+    effectsChangeCallbacks.push(cb);
+  }
+
+  function setEffectsLevel(level) {
+    if (level === effectsLevel) return;
+    effectsLevel = level;
+    document.documentElement.dataset.effects = level;
+    effectsChangeCallbacks.forEach(cb => cb(effectsProfile()));
+  }
+
+  // A requestAnimationFrame loop with start/stop that also pauses while the
+  // document is hidden. step(timestamp) runs once per frame and may stop it.
+  function createFrameLoop(step) {
+    let frame = null;
+    let running = false;
+    const tick = (timestamp) => {
+      frame = requestAnimationFrame(tick);
+      step(timestamp);
+    };
+    const loop = {
+      get running() { return running; },
+      start() {
+        if (running) return;
+        running = true;
+        loop.sync();
+      },
+      stop() {
+        running = false;
+        loop.sync();
+      },
+      sync() {
+        cancelAnimationFrame(frame);
+        frame = running && !document.hidden ? requestAnimationFrame(tick) : null;
+      }
+    };
+    frameLoops.push(loop);
+    return loop;
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    frameLoops.forEach(loop => loop.sync());
+  });
+
+  const fpsSample = { start: 0, last: 0, deltas: [], smooth: 0, needed: FPS_UPGRADE_SAMPLES, climbed: false };
+
+  const fpsMonitor = createFrameLoop((timestamp) => {
+    const sample = fpsSample;
+    if (!sample.start || timestamp - sample.last > FRAME_GAP_MS) {
+      sample.start = sample.last = timestamp;
+      sample.deltas = [];
+      return;
+    }
+    sample.deltas.push(timestamp - sample.last);
+    sample.last = timestamp;
+    const elapsed = timestamp - sample.start;
+    if (elapsed < FPS_SAMPLE_MS) return;
+
+    const sorted = sample.deltas.slice().sort((a, b) => a - b);
+    const interval = sorted[Math.floor(sorted.length / 2)];
+    const drawn = sorted.length * interval / elapsed;
+    const index = EFFECTS_LEVELS.indexOf(effectsLevel);
+    sample.start = timestamp;
+    sample.deltas = [];
+    if (drawn < FPS_DOWNGRADE) {
+      sample.smooth = 0;
+      // Dropping right after a climb means the higher level doesn't fit: wait longer next time
+      if (sample.climbed) sample.needed = Math.min(FPS_UPGRADE_SAMPLES_MAX, sample.needed * 2);
+      sample.climbed = false;
+      if (index > 0) setEffectsLevel(EFFECTS_LEVELS[index - 1]);
+    } else if (drawn >= FPS_UPGRADE && index < EFFECTS_LEVELS.length - 1) {
+      if (++sample.smooth >= sample.needed) {
+        sample.smooth = 0;
+        sample.climbed = true;
+        setEffectsLevel(EFFECTS_LEVELS[index + 1]);
+      }
+    } else {
+      sample.smooth = 0;
+    }
+  });
+
+  const effectsSelect = document.getElementById('effects-select');
+
+  function setEffectsSetting(setting, remember = true) {
+    effectsSetting = EFFECTS_PROFILES[setting] ? setting : 'auto';
+    if (effectsSelect) effectsSelect.value = effectsSetting;
+    if (effectsSetting === 'auto') {
+      fpsSample.start = 0;
+      fpsSample.smooth = 0;
+      // Nothing animates under reduced motion, so there is nothing to measure
+      if (!prefersReducedMotion) fpsMonitor.start();
+    } else {
+      fpsMonitor.stop();
+      setEffectsLevel(effectsSetting);
+    }
+    if (remember) {
+      try {
+        localStorage.setItem(EFFECTS_STORAGE_KEY, effectsSetting);
+      } catch (e) { /* storage unavailable */ }
+    }
+  }
+
+  function storedEffectsSetting() {
+    try {
+      return localStorage.getItem(EFFECTS_STORAGE_KEY) || 'auto';
+    } catch (e) {
+      return 'auto';
+    }
+  }
+
+  document.documentElement.dataset.effects = effectsLevel;
+  if (effectsSelect) {
+    effectsSelect.addEventListener('change', () => setEffectsSetting(effectsSelect.value));
+  }
+  setEffectsSetting(storedEffectsSetting(), false);
+
   // ------------------------------------------
   // Cursor Glow Effect
   // ------------------------------------------
   const cursorGlow = document.getElementById('cursor-glow');
+  // Last known mouse position; the glow and the particle network both follow it
+  const pointer = { x: 0, y: 0, inside: false };
+
+  if (!prefersReducedMotion) {
+    document.addEventListener('mousemove', (e) => {
+      pointer.x = e.clientX;
+      pointer.y = e.clientY;
+      pointer.inside = true;
+    });
+    document.addEventListener('mouseleave', () => {
+      pointer.inside = false;
+    });
+  }
 
   if (!prefersReducedMotion && cursorGlow && window.innerWidth > 768) {
-    let mouseX = 0, mouseY = 0;
     let glowX = 0, glowY = 0;
 
-    document.addEventListener('mousemove', (e) => {
-      mouseX = e.clientX;
-      mouseY = e.clientY;
+    // Eases toward the pointer and stops once it has caught up
+    const glowLoop = createFrameLoop(() => {
+      glowX += (pointer.x - glowX) * 0.08;
+      glowY += (pointer.y - glowY) * 0.08;
+      cursorGlow.style.left = glowX + 'px';
+      cursorGlow.style.top = glowY + 'px';
+      if (Math.abs(pointer.x - glowX) < 0.5 && Math.abs(pointer.y - glowY) < 0.5) glowLoop.stop();
+    });
+
+    document.addEventListener('mousemove', () => {
+      if (!effectsProfile().cursorGlow) return;
       cursorGlow.classList.add('active');
+      glowLoop.start();
     });
 
     document.addEventListener('mouseleave', () => {
       cursorGlow.classList.remove('active');
     });
 
-    function animateCursorGlow() {
-      glowX += (mouseX - glowX) * 0.08;
-      glowY += (mouseY - glowY) * 0.08;
-      cursorGlow.style.left = glowX + 'px';
-      cursorGlow.style.top = glowY + 'px';
-      requestAnimationFrame(animateCursorGlow);
-    }
-    animateCursorGlow();
+    onEffectsChange((profile) => {
+      if (profile.cursorGlow) return;
+      glowLoop.stop();
+      cursorGlow.classList.remove('active');
+    });
   }
 
   // ------------------------------------------
   // Particle System
   // ------------------------------------------
   const particleCanvas = document.getElementById('particle-canvas');
+  const DEFAULT_PARTICLE_PALETTE = ['#00f0ff', '#a855f7', '#f472b6'];
+  const PARTICLE_TONE_WEIGHTS = [0.4, 0.36, 0.24]; // accent, secondary, highlight
+  const POINTER_RADIUS = 180;   // Particles closer than this feel the cursor
+  const POINTER_ORBIT = 60;     // ...pulled in down to this ring, pushed out inside it
+  const POINTER_FORCE = 0.12;
+  const PARTICLE_DAMPING = 0.92; // Per frame; pushes fade back into the drift
+  const RIPPLE_SPEED = 0.45;    // px per ms
+  const RIPPLE_LIFE = 700;      // ms
+  const RIPPLE_BAND = 28;       // Half-width of the ring that shoves particles
+  const RIPPLE_PUSH = 0.4;
+  const MAX_RIPPLES = 4;
+  const LINK_ALPHA_STEPS = 4;   // Connections are stroked in this many opacity batches
+
+  // Tone colors as [r, g, b]; the loop eases `current` toward `target`
+  const particlePalette = {
+    current: DEFAULT_PARTICLE_PALETTE.map(parseHexColor),
+    target: DEFAULT_PARTICLE_PALETTE.map(parseHexColor)
+  };
+
+  function parseHexColor(hex) {
+    return hexToRgb(hex).split(',').map(Number);
+  }
+
+  // Called from updateTheme with the theme of the scenario in view (null for none)
+  function setParticlePalette(theme) {
+    const colors = theme ? [theme.accent, theme.secondary, theme.highlight] : DEFAULT_PARTICLE_PALETTE;
+    particlePalette.target = colors.map(parseHexColor);
+  }
 
   if (!prefersReducedMotion && particleCanvas) {
     const ctx = particleCanvas.getContext('2d');
     let particles = [];
-    const PARTICLE_COUNT = 60;
+    let ripples = [];
 
     function resizeParticleCanvas() {
       particleCanvas.width = window.innerWidth;
@@ -78,6 +446,15 @@
     resizeParticleCanvas();
     window.addEventListener('resize', debounce(resizeParticleCanvas, 200));
 
+    function pickParticleTone() {
+      let roll = Math.random();
+      for (let i = 0; i < PARTICLE_TONE_WEIGHTS.length - 1; i++) {
+        roll -= PARTICLE_TONE_WEIGHTS[i];
+        if (roll < 0) return i;
+      }
+      return PARTICLE_TONE_WEIGHTS.length - 1;
+    }
+
     class Particle {
       constructor() {
         this.reset();
@@ -88,60 +465,157 @@
         this.size = Math.random() * 1.8 + 0.3;
         this.speedX = (Math.random() - 0.5) * 0.3;
         this.speedY = (Math.random() - 0.5) * 0.3;
+        this.vx = 0; // Pushes from the cursor and ripples, on top of the drift
+        this.vy = 0;
         this.opacity = Math.random() * 0.5 + 0.1;
-        this.color = Math.random() > 0.6
-          ? 'rgba(0, 240, 255,'
-          : Math.random() > 0.4
-            ? 'rgba(168, 85, 247,'
-            : 'rgba(244, 114, 182,';
+        this.tone = pickParticleTone();
       }
       update() {
-        this.x += this.speedX;
-        this.y += this.speedY;
+        this.vx *= PARTICLE_DAMPING;
+        this.vy *= PARTICLE_DAMPING;
+        this.x += this.speedX + this.vx;
+        this.y += this.speedY + this.vy;
         if (this.x < -10 || this.x > particleCanvas.width + 10 ||
           this.y < -10 || this.y > particleCanvas.height + 10) {
           this.reset();
         }
       }
       draw() {
+        const [r, g, b] = particlePalette.current[this.tone];
         ctx.beginPath();
         ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        ctx.fillStyle = this.color + this.opacity + ')';
+        ctx.fillStyle = `rgba(${r | 0}, ${g | 0}, ${b | 0}, ${this.opacity})`;
         ctx.fill();
       }
     }
 
-    for (let i = 0; i < PARTICLE_COUNT; i++) {
-      particles.push(new Particle());
+    // Grows or trims the field to the effects level's particle count
+    function fitParticleCount() {
+      const count = effectsProfile().particles;
+      while (particles.length < count) particles.push(new Particle());
+      particles.length = count;
     }
+    fitParticleCount();
+    onEffectsChange(fitParticleCount);
+
+    // Keyboard-activated clicks report no position, so only real clicks ripple
+    document.addEventListener('click', (e) => {
+      if (!e.detail) return;
+      ripples.push({ x: e.clientX, y: e.clientY, start: performance.now() });
+      if (ripples.length > MAX_RIPPLES) ripples.shift();
+    });
 
-    function animateParticles() {
-      ctx.clearRect(0, 0, particleCanvas.width, particleCanvas.height);
-      particles.forEach(p => {
-        p.update();
-        p.draw();
+    function easeParticlePalette() {
+      particlePalette.current.forEach((color, tone) => {
+        const target = particlePalette.target[tone];
+        for (let c = 0; c < 3; c++) color[c] += (target[c] - color[c]) * 0.05;
       });
+    }
 
-      // Draw connections
-      for (let i = 0; i < particles.length; i++) {
-        for (let j = i + 1; j < particles.length; j++) {
-          const dx = particles[i].x - particles[j].x;
-          const dy = particles[i].y - particles[j].y;
+    // Pulls particles toward a ring around the cursor and shoves them outward
+    // as each click ripple's wavefront passes
+    function applyParticleForces(now) {
+      ripples = ripples.filter(ripple => now - ripple.start < RIPPLE_LIFE);
+      particles.forEach(p => {
+        if (pointer.inside) {
+          const dx = pointer.x - p.x;
+          const dy = pointer.y - p.y;
           const dist = Math.sqrt(dx * dx + dy * dy);
-          if (dist < 120) {
-            ctx.beginPath();
-            ctx.moveTo(particles[i].x, particles[i].y);
-            ctx.lineTo(particles[j].x, particles[j].y);
-            ctx.strokeStyle = `rgba(0, 240, 255, ${0.04 * (1 - dist / 120)})`;
-            ctx.lineWidth = 0.5;
-            ctx.stroke();
+          if (dist > 0 && dist < POINTER_RADIUS) {
+            const pull = (dist - POINTER_ORBIT) / POINTER_RADIUS * POINTER_FORCE;
+            p.vx += dx / dist * pull;
+            p.vy += dy / dist * pull;
           }
         }
-      }
+        ripples.forEach(ripple => {
+          const age = now - ripple.start;
+          const dx = p.x - ripple.x;
+          const dy = p.y - ripple.y;
+          const dist = Math.sqrt(dx * dx + dy * dy);
+          if (dist > 0 && Math.abs(dist - age * RIPPLE_SPEED) < RIPPLE_BAND) {
+            const push = RIPPLE_PUSH * (1 - age / RIPPLE_LIFE);
+            p.vx += dx / dist * push;
+            p.vy += dy / dist * push;
+          }
+        });
+      });
+    }
+
+    function drawRipples(now) {
+      const [r, g, b] = particlePalette.current[0];
+      ctx.lineWidth = 1;
+      ripples.forEach(ripple => {
+        const age = now - ripple.start;
+        ctx.beginPath();
+        ctx.arc(ripple.x, ripple.y, Math.max(0, age * RIPPLE_SPEED), 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(${r | 0}, ${g | 0}, ${b | 0}, ${0.35 * (1 - age / RIPPLE_LIFE)})`;
+        ctx.stroke();
+      });
+    }
+
+    // Buckets particles into linkDistance-sized cells so each one is only
+    // compared with particles in its own and the neighbouring cells
+    function drawParticleLinks(linkDistance) {
+      const cols = Math.ceil(particleCanvas.width / linkDistance) + 3;
+      const cells = new Map();
+      particles.forEach(p => {
+        // Offset by one cell so the -10px margin never yields a negative index
+        const key = Math.floor(p.x / linkDistance + 1) + Math.floor(p.y / linkDistance + 1) * cols;
+        const cell = cells.get(key);
+        if (cell) cell.push(p);
+        else cells.set(key, [p]);
+      });
+
+      const batches = Array.from({ length: LINK_ALPHA_STEPS }, () => []);
+      const maxDistSq = linkDistance * linkDistance;
+      const link = (a, b) => {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const distSq = dx * dx + dy * dy;
+        if (distSq >= maxDistSq) return;
+        const strength = 1 - Math.sqrt(distSq) / linkDistance;
+        batches[Math.min(LINK_ALPHA_STEPS - 1, Math.floor(strength * LINK_ALPHA_STEPS))].push(a, b);
+      };
+      // Same cell, then the forward half of the neighbourhood so each pair is seen once
+      const forward = [1, cols - 1, cols, cols + 1];
+      cells.forEach((cell, key) => {
+        for (let i = 0; i < cell.length; i++) {
+          for (let j = i + 1; j < cell.length; j++) link(cell[i], cell[j]);
+        }
+        forward.forEach(offset => {
+          const other = cells.get(key + offset);
+          if (other) cell.forEach(a => other.forEach(b => link(a, b)));
+        });
+      });
 
-      requestAnimationFrame(animateParticles);
+      const [r, g, b] = particlePalette.current[0];
+      ctx.lineWidth = 0.5;
+      batches.forEach((ends, step) => {
+        if (!ends.length) return;
+        ctx.beginPath();
+        for (let i = 0; i < ends.length; i += 2) {
+          ctx.moveTo(ends[i].x, ends[i].y);
+          ctx.lineTo(ends[i + 1].x, ends[i + 1].y);
+        }
+        ctx.strokeStyle = `rgba(${r | 0}, ${g | 0}, ${b | 0}, ${0.04 * (step + 0.5) / LINK_ALPHA_STEPS})`;
+        ctx.stroke();
+      });
     }
-    animateParticles();
+
+    const particleLoop = createFrameLoop((timestamp) => {
+      ctx.clearRect(0, 0, particleCanvas.width, particleCanvas.height);
+      easeParticlePalette();
+      applyParticleForces(timestamp);
+      particles.forEach(p => {
+        p.update();
+        p.draw();
+      });
+      drawRipples(timestamp);
+
+      const linkDistance = effectsProfile().linkDistance;
+      if (linkDistance) drawParticleLinks(linkDistance);
+    });
+    particleLoop.start();
   }
 
   // ------------------------------------------
@@ -199,26 +673,28 @@
   // ------------------------------------------
   // Scroll Animations (Intersection Observer)
   // ------------------------------------------
-  const animatedElements = document.querySelectorAll('[data-animate]');
-
-  if ('IntersectionObserver' in window) {
-    const observer = new IntersectionObserver((entries) => {
+  const animateObserver = 'IntersectionObserver' in window
+    ? new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
           entry.target.classList.add('is-visible');
-          observer.unobserve(entry.target);
+          animateObserver.unobserve(entry.target);
         }
       });
     }, {
       threshold: 0.1,
       rootMargin: '0px 0px -50px 0px'
-    });
+    })
+    : null;
 
-    animatedElements.forEach(el => observer.observe(el));
-  } else {
-    animatedElements.forEach(el => el.classList.add('is-visible'));
+  // Also used for markup generated later (scenario cards)
+  function observeAnimated(el) {
+    if (animateObserver) animateObserver.observe(el);
+    else el.classList.add('is-visible');
   }
 
+  document.querySelectorAll('[data-animate]').forEach(observeAnimated);
+
   // ------------------------------------------
   // Counter Animation
   // ------------------------------------------
@@ -235,7 +711,7 @@
         // Ease-out cubic
         const eased = 1 - Math.pow(1 - progress, 3);
         const current = Math.round(eased * target);
-        counter.textContent = current.toLocaleString();
+        counter.textContent = formatNumber(current);
 
         if (progress < 1) {
           requestAnimationFrame(updateCounter);
@@ -259,17 +735,33 @@
     statsObserver.observe(heroStats);
   }
 
+  // Counters that have run are re-formatted for the new language
+  onLocaleChange(() => {
+    document.querySelectorAll('[data-count]').forEach(counter => {
+      if (counter.textContent !== '0') counter.textContent = formatNumber(parseInt(counter.dataset.count, 10));
+    });
+  });
+
   // ------------------------------------------
   // Smooth Scroll for anchor links
   // ------------------------------------------
+  // Scrolls so the target clears the fixed nav
+  function scrollToSection(target, behavior = 'smooth') {
+    const offset = 80;
+    const y = target.getBoundingClientRect().top + window.pageYOffset - offset;
+    window.scrollTo({ top: y, behavior });
+  }
+
+  // The default jump is replaced by a smooth scroll, so the link's hash is
+  // pushed through the router (see Hash Router) to keep Back working
   document.querySelectorAll('a[href^="#"]').forEach(anchor => {
     anchor.addEventListener('click', function (e) {
       e.preventDefault();
-      const target = document.querySelector(this.getAttribute('href'));
+      const href = this.getAttribute('href');
+      const target = document.querySelector(href);
       if (target) {
-        const offset = 80;
-        const y = target.getBoundingClientRect().top + window.pageYOffset - offset;
-        window.scrollTo({ top: y, behavior: 'smooth' });
+        pushRoute(href);
+        scrollToSection(target);
       }
     });
   });
@@ -283,9 +775,108 @@
     energy: 'solar',
     greenery: 45,
     transport: 'aerial',
-    tech: 75
+    tech: 75,
+    zoning: '' // Painted district tiles, see Zoning Editor; '' when nothing is painted
+  };
+
+  // Zoning grid: one code per tile, row by row ('.' = unpainted)
+  const ZONING_SIZE = window.CityScene.DISTRICT_GRID;
+  const ZONING_TILES = ZONING_SIZE * ZONING_SIZE;
+  const ZONE_CODES = '.rcget';
+
+  // Allowed values for every configState field (mirrors the form controls)
+  const CONFIG_SCHEMA = {
+    environment: { type: 'enum', values: ['urban', 'coastal', 'mountain', 'desert', 'arctic'] },
+    population: { type: 'number', min: 1, max: 100 },
+    energy: { type: 'enum', values: ['solar', 'fusion', 'wind', 'tidal'] },
+    greenery: { type: 'number', min: 0, max: 100 },
+    transport: { type: 'enum', values: ['aerial', 'hyperloop', 'teleport'] },
+    tech: { type: 'number', min: 1, max: 100 },
+    // Optional so blueprints and presets from before zoning still load
+    zoning: { type: 'layout', optional: true }
   };
 
+  const DEFAULT_CONFIG = Object.freeze(Object.assign({}, configState));
+
+  // Checks one untrusted value against CONFIG_SCHEMA. Numbers are rounded and
+  // clamped into range; returns { value, warning } or { error }.
+  function checkConfigField(key, value) {
+    const rule = CONFIG_SCHEMA[key];
+    if (value === undefined || value === null) {
+      return rule.optional ? { value: DEFAULT_CONFIG[key] } : { error: `"${key}" is missing` };
+    }
+    if (rule.type === 'layout') {
+      const valid = typeof value === 'string' && (value === '' ||
+        (value.length === ZONING_TILES && [...value].every(code => ZONE_CODES.includes(code))));
+      return valid
+        ? { value: normalizeZoning(value) }
+        : { error: `"${key}" must be ${ZONING_TILES} zone codes (${ZONE_CODES}) or empty` };
+    }
+    if (rule.type === 'enum') {
+      return rule.values.includes(value)
+        ? { value }
+        : { error: `"${key}" must be one of ${rule.values.join(', ')} (got "${value}")` };
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { error: `"${key}" must be a number (got ${JSON.stringify(value)})` };
+    }
+    const clamped = Math.min(rule.max, Math.max(rule.min, Math.round(value)));
+    return { value: clamped, warning: clamped !== value ? `${key} ${value} → ${clamped}` : null };
+  }
+
+  // Strict check for blueprint files: missing fields, bad types and unknown
+  // enum values are errors. Throws an Error listing every problem, otherwise
+  // returns { config, warnings }.
+  function validateConfig(raw) {
+    if (!raw || typeof raw !== 'object') {
+      throw new Error('Blueprint has no "config" object');
+    }
+    const config = {};
+    const errors = [];
+    const warnings = [];
+
+    Object.keys(CONFIG_SCHEMA).forEach(key => {
+      const result = checkConfigField(key, raw[key]);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        config[key] = result.value;
+        if (result.warning) warnings.push(result.warning);
+      }
+    });
+
+    if (errors.length) throw new Error(errors.join('; '));
+    return { config, warnings };
+  }
+
+  // Lenient check for share links: any field that is missing or invalid
+  // falls back to its default. Numeric strings are accepted.
+  function coerceConfig(raw) {
+    const config = {};
+    const warnings = [];
+
+    Object.keys(CONFIG_SCHEMA).forEach(key => {
+      let value = raw[key];
+      if (value === undefined) {
+        config[key] = DEFAULT_CONFIG[key];
+        return;
+      }
+      if (CONFIG_SCHEMA[key].type === 'number' && typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+        value = Number(value);
+      }
+      const result = checkConfigField(key, value);
+      if (result.error) {
+        config[key] = DEFAULT_CONFIG[key];
+        warnings.push(`${result.error}, using ${DEFAULT_CONFIG[key]}`);
+      } else {
+        config[key] = result.value;
+        if (result.warning) warnings.push(result.warning);
+      }
+    });
+
+    return { config, warnings };
+  }
+
   // Toggle groups
   document.querySelectorAll('.config-toggle-group').forEach(group => {
     group.querySelectorAll('.config-toggle').forEach(btn => {
@@ -297,10 +888,13 @@
         btn.classList.add('active');
         btn.setAttribute('aria-checked', 'true');
 
+        const value = btn.dataset.value;
         if (group.id === 'config-energy') {
-          configState.energy = btn.dataset.value;
+          configState.energy = value;
+          recordHistory(() => t('Energy: {value}', { value: configValueLabel('energy', value) }));
         } else if (group.id === 'config-transport') {
-          configState.transport = btn.dataset.value;
+          configState.transport = value;
+          recordHistory(() => t('Transport: {value}', { value: configValueLabel('transport', value) }));
         }
         updatePreview();
       });
@@ -316,543 +910,3684 @@
   const techValue = document.getElementById('tech-value');
 
   popSlider.addEventListener('input', () => {
-    configState.population = parseInt(popSlider.value);
-    popValue.textContent = popSlider.value + '%';
+    const value = configState.population = parseInt(popSlider.value);
+    popValue.textContent = formatPercent(value);
+    recordHistory(() => t('Population {value}', { value: formatPercent(value) }), 'population');
     updatePreview();
   });
 
   greenSlider.addEventListener('input', () => {
-    configState.greenery = parseInt(greenSlider.value);
-    greenValue.textContent = greenSlider.value + '%';
+    const value = configState.greenery = parseInt(greenSlider.value);
+    greenValue.textContent = formatPercent(value);
+    recordHistory(() => t('Greenery {value}', { value: formatPercent(value) }), 'greenery');
     updatePreview();
   });
 
   techSlider.addEventListener('input', () => {
-    configState.tech = parseInt(techSlider.value);
-    techValue.textContent = techSlider.value + '%';
+    const value = configState.tech = parseInt(techSlider.value);
+    techValue.textContent = formatPercent(value);
+    recordHistory(() => t('Tech {value}', { value: formatPercent(value) }), 'tech');
     updatePreview();
   });
 
+  // A slider drag fires many `input` events but only one `change` on release
+  [popSlider, greenSlider, techSlider].forEach(slider => {
+    slider.addEventListener('change', endHistoryMerge);
+  });
+
   // Select
   const envSelect = document.getElementById('config-environment');
   envSelect.addEventListener('change', () => {
-    configState.environment = envSelect.value;
+    const value = configState.environment = envSelect.value;
+    recordHistory(() => t('Environment: {value}', { value: configValueLabel('environment', value) }));
     updatePreview();
   });
 
-  // Scoring
-  function computeScores() {
-    const { population, greenery, tech, energy, transport, environment } = configState;
+  // Push configState back into the form controls (used when a state is
+  // loaded from somewhere other than the controls themselves)
+  function syncConfigControls() {
+    envSelect.value = configState.environment;
+    syncSliderControls();
+    renderZoningGrid();
+
+    [['config-energy', configState.energy], ['config-transport', configState.transport]].forEach(([id, value]) => {
+      document.querySelectorAll(`#${id} .config-toggle`).forEach(b => {
+        b.classList.toggle('active', b.dataset.value === value);
+        b.setAttribute('aria-checked', b.dataset.value === value);
+      });
+    });
+  }
+  onLocaleChange(syncConfigControls);
+
+  function syncSliderControls() {
+    popSlider.value = configState.population;
+    popValue.textContent = formatPercent(configState.population);
+    greenSlider.value = configState.greenery;
+    greenValue.textContent = formatPercent(configState.greenery);
+    techSlider.value = configState.tech;
+    techValue.textContent = formatPercent(configState.tech);
+  }
 
-    const energyBonus = { solar: 20, fusion: 15, wind: 18, tidal: 22 };
-    const transportBonus = { aerial: 10, hyperloop: 15, teleport: 8 };
-    const envBonus = { urban: 5, coastal: 12, mountain: 10, desert: 3, arctic: 7 };
+  const CONFIG_LABELS = {
+    environment: 'Environment',
+    population: 'Population density',
+    energy: 'Energy source',
+    greenery: 'Green coverage',
+    transport: 'Transportation',
+    tech: 'Tech level',
+    zoning: 'Zoning'
+  };
 
-    const sustainability = Math.min(100, Math.round(
-      greenery * 0.6 + (energyBonus[energy] || 10) + (100 - population) * 0.15 + (envBonus[environment] || 5)
-    ));
+  // Human-readable value, using the same wording as the form controls
+  function configValueLabel(key, value) {
+    if (CONFIG_SCHEMA[key].type === 'number') return formatPercent(value);
+    if (CONFIG_SCHEMA[key].type === 'layout') {
+      const painted = [...value].filter(code => code !== '.').length;
+      return painted ? t('{count} tiles painted', { count: formatNumber(painted) }) : t('Unpainted');
+    }
+    const control = key === 'environment'
+      ? envSelect.querySelector(`option[value="${value}"]`)
+      : document.querySelector(`#config-${key} .config-toggle[data-value="${value}"]`);
+    return control ? control.textContent.trim() : String(value);
+  }
 
-    const innovation = Math.min(100, Math.round(
-      tech * 0.7 + (transportBonus[transport] || 10) + (energyBonus[energy] || 10) * 0.3
-    ));
+  // ------------------------------------------
+  // Undo / Redo History
+  // ------------------------------------------
+  const HISTORY_LIMIT = 50;
+  const configHistory = {
+    entries: [],   // { label, state, seed } snapshots, oldest first; label() gives the text in the current language
+    index: -1,     // entry currently shown
+    mergeKey: null // set while a slider drag is in progress
+  };
+  const historyList = document.getElementById('history-list');
+  const undoBtn = document.getElementById('undo-btn');
+  const redoBtn = document.getElementById('redo-btn');
 
-    const quality = Math.min(100, Math.round(
-      greenery * 0.3 + (100 - population) * 0.25 + tech * 0.2 + (envBonus[environment] || 5) * 1.5
-    ));
+  function isSameConfig(a, b) {
+    return Object.keys(configState).every(key => a[key] === b[key]);
+  }
 
-    const resilience = Math.min(100, Math.round(
-      (100 - population) * 0.2 + greenery * 0.2 + tech * 0.3 + (energyBonus[energy] || 10) + 10
-    ));
+  function resetHistory(label) {
+    configHistory.entries = [{ label, state: Object.assign({}, configState), seed: renderSeed }];
+    configHistory.index = 0;
+    configHistory.mergeKey = null;
+    renderHistory();
+  }
 
-    const livability = Math.round((sustainability + innovation + quality + resilience) / 4);
+  // Call after configState has changed. Consecutive calls with the same
+  // mergeKey collapse into a single step (used for slider drags).
+  function recordHistory(label, mergeKey) {
+    cancelPresetTween(); // Whatever changed the config takes over from a running tween
+    const entry = { label, state: Object.assign({}, configState), seed: renderSeed };
+    const current = configHistory.entries[configHistory.index];
 
-    return { sustainability, innovation, quality, resilience, livability };
+    if (mergeKey && mergeKey === configHistory.mergeKey) {
+      configHistory.entries[configHistory.index] = entry;
+    } else {
+      if (current && current.seed === entry.seed && isSameConfig(current.state, entry.state)) return;
+      configHistory.entries.splice(configHistory.index + 1);
+      configHistory.entries.push(entry);
+      if (configHistory.entries.length > HISTORY_LIMIT) {
+        configHistory.entries.shift();
+      }
+      configHistory.index = configHistory.entries.length - 1;
+    }
+    configHistory.mergeKey = mergeKey || null;
+    renderHistory();
   }
 
-  function updatePreview() {
-    const scores = computeScores();
+  function endHistoryMerge() {
+    configHistory.mergeKey = null;
+  }
 
-    // Update bars
-    updateStatBar('stat-sustainability', scores.sustainability);
-    updateStatBar('stat-innovation', scores.innovation);
-    updateStatBar('stat-quality', scores.quality);
-    updateStatBar('stat-resilience', scores.resilience);
+  function jumpToHistory(index) {
+    const entry = configHistory.entries[index];
+    if (!entry || index === configHistory.index) return;
+    configHistory.index = index;
+    configHistory.mergeKey = null;
+    cancelPresetTween();
+    Object.assign(configState, entry.state);
+    renderSeed = entry.seed;
+    syncConfigControls();
+    updatePreview();
+    renderHistory();
+  }
 
-    // Update score
-    const scoreEl = document.getElementById('preview-score');
-    scoreEl.textContent = `Livability: ${scores.livability}`;
+  function undo() {
+    jumpToHistory(configHistory.index - 1);
+  }
 
-    // Update city canvas
-    renderCityCanvas();
+  function redo() {
+    jumpToHistory(configHistory.index + 1);
   }
 
-  function updateStatBar(id, value) {
-    const el = document.getElementById(id);
-    if (!el) return;
-    const fill = el.querySelector('.stat-fill');
-    const val = el.querySelector('.stat-val');
-    if (fill) fill.style.setProperty('--fill', value + '%');
-    if (val) val.textContent = value + '%';
+  function renderHistory() {
+    if (undoBtn) undoBtn.disabled = configHistory.index <= 0;
+    if (redoBtn) redoBtn.disabled = configHistory.index >= configHistory.entries.length - 1;
+    if (!historyList) return;
+
+    // Newest first, so the top of the list is always the latest step
+    historyList.innerHTML = configHistory.entries.map((entry, i) => {
+      const state = i === configHistory.index ? 'current' : i > configHistory.index ? 'undone' : '';
+      return `
+        <li>
+          <button class="history-step ${state}" data-index="${i}"${state === 'current' ? ' aria-current="step"' : ''}>
+            ${escapeHTML(entry.label())}
+          </button>
+        </li>
+      `;
+    }).reverse().join('');
+  }
+
+  if (historyList) {
+    historyList.addEventListener('click', (e) => {
+      const step = e.target.closest('.history-step');
+      if (step) jumpToHistory(parseInt(step.dataset.index, 10));
+    });
   }
+  if (undoBtn) undoBtn.addEventListener('click', undo);
+  if (redoBtn) redoBtn.addEventListener('click', redo);
+  onLocaleChange(renderHistory);
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    // Leave native text undo alone inside text fields
+    const target = e.target;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA' ||
+      (target.tagName === 'INPUT' && target.type !== 'range')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redo();
+    }
+  });
 
   // ------------------------------------------
-  // City Canvas Visualization
+  // Zoning Editor
   // ------------------------------------------
-  const cityCanvas = document.getElementById('city-canvas');
-  const cityCtx = cityCanvas ? cityCanvas.getContext('2d') : null;
+  // Workshop mode: paint district tiles on the same grid the isometric view
+  // uses. configState.zoning holds the layout; unpainted tiles keep the
+  // slider values. applyZoning() turns the layout into the effective inputs
+  // that scoring and the canvas see.
+  const ZONES = {
+    r: { label: 'Residential', icon: '🏠', density: 85, greenery: 20 },
+    c: { label: 'Commercial', icon: '🏢', density: 95, greenery: 5 },
+    g: { label: 'Green', icon: '🌳', density: 5, greenery: 100 },
+    e: { label: 'Energy', icon: '⚡', density: 15, greenery: 0 },
+    t: { label: 'Transit', icon: '🚉', density: 30, greenery: 5 }
+  };
+  const ERASER = '.';
+  // Extra numeric inputs derived from the layout, usable in scoring models
+  const ZONING_INPUTS = ['greenResidential', 'energySprawl'];
 
-  // Seeded PRNG for stable, non-flickering element placement
-  function createSeededRNG(seed) {
-    let s = seed;
-    return function () {
-      s = (s * 16807 + 0) % 2147483647;
-      return (s - 1) / 2147483646;
-    };
+  // An all-unpainted layout is stored as '' so unzoned configs stay compact
+  function normalizeZoning(layout) {
+    return /^\.*$/.test(layout) ? '' : layout;
   }
 
-  // Cache for the static scene layer to avoid redrawing every frame
-  let staticSceneCache = null;
-  let lastConfigKey = '';
+  function zoningIndexToCell(index) {
+    const col = index % ZONING_SIZE;
+    return { col, row: (index - col) / ZONING_SIZE };
+  }
 
-  function getConfigKey() {
-    return [
-      configState.environment,
-      configState.population,
-      configState.energy,
-      configState.greenery,
-      configState.transport,
-      configState.tech,
-      cityCanvas ? cityCanvas.offsetWidth : 0,
-      cityCanvas ? cityCanvas.offsetHeight : 0
-    ].join('|');
+  // Returns a copy of `state` with population and greenery averaged over
+  // the tiles (painted tiles use their zone, the rest the sliders), plus:
+  //   greenResidential  % of homes with a green tile next door
+  //   energySprawl      how far energy tiles sit from dense tiles (0–100)
+  function applyZoning(state) {
+    const layout = state.zoning || '';
+    const zoned = Object.assign({}, state, { greenResidential: 0, energySprawl: 0 });
+    if (!layout) return zoned;
+
+    let density = 0;
+    let greenery = 0;
+    const homes = [];
+    const dense = [];
+    const energy = [];
+    [...layout].forEach((code, i) => {
+      const zone = ZONES[code];
+      density += zone ? zone.density : state.population;
+      greenery += zone ? zone.greenery : state.greenery;
+      if (code === 'r') homes.push(i);
+      if (code === 'r' || code === 'c') dense.push(i);
+      if (code === 'e') energy.push(i);
+    });
+    zoned.population = Math.max(1, Math.round(density / layout.length));
+    zoned.greenery = Math.round(greenery / layout.length);
+
+    const codeAt = (col, row) => (col >= 0 && row >= 0 && col < ZONING_SIZE && row < ZONING_SIZE)
+      ? layout[row * ZONING_SIZE + col] : ERASER;
+    if (homes.length) {
+      const nearPark = homes.filter(i => {
+        const { col, row } = zoningIndexToCell(i);
+        return [codeAt(col - 1, row), codeAt(col + 1, row), codeAt(col, row - 1), codeAt(col, row + 1)].includes('g');
+      });
+      zoned.greenResidential = Math.round(nearPark.length / homes.length * 100);
+    }
+    if (dense.length && energy.length) {
+      // Next door is free; every further tile of cabling costs 25 points
+      const overhead = energy.reduce((sum, i) => {
+        const a = zoningIndexToCell(i);
+        const distance = Math.min(...dense.map(j => {
+          const b = zoningIndexToCell(j);
+          return Math.abs(a.col - b.col) + Math.abs(a.row - b.row);
+        }));
+        return sum + Math.max(0, distance - 1);
+      }, 0) / energy.length;
+      zoned.energySprawl = Math.min(100, Math.round(overhead * 25));
+    }
+    return zoned;
   }
 
-  // Theme colors based on environment
-  const themes = {
-    urban: { sky1: '#0a0a2a', sky2: '#1a0a30', ground: '#111128', accent: '#00f0ff' },
-    coastal: { sky1: '#0a1a2a', sky2: '#0a2540', ground: '#0a1520', accent: '#22d3ee' },
-    mountain: { sky1: '#0a0a20', sky2: '#151530', ground: '#0d0d22', accent: '#a78bfa' },
-    desert: { sky1: '#1a0f0a', sky2: '#301a0a', ground: '#1a1008', accent: '#fb923c' },
-    arctic: { sky1: '#0a1520', sky2: '#102030', ground: '#0f1820', accent: '#60a5fa' }
-  };
+  const zoningToggleBtn = document.getElementById('zoning-toggle-btn');
+  const zoningEditor = document.getElementById('zoning-editor');
+  const zoningBrushes = document.getElementById('zoning-brushes');
+  const zoningGrid = document.getElementById('zoning-grid');
+  const zoningSummary = document.getElementById('zoning-summary');
+  const zoningClearBtn = document.getElementById('zoning-clear-btn');
+  let zoningBrush = 'r';
+  let zoningFocus = 0;
+  let zoningPainting = false;
+  let zoningPreviewPending = false; // A drag defers the full preview to pointerup
+
+  function zoneLabel(code) {
+    return ZONES[code] ? t(ZONES[code].label) : t('Unpainted');
+  }
 
-  function renderStaticScene(w, h, scale, theme) {
-    // Create offscreen canvas for static elements
-    const offscreen = document.createElement('canvas');
-    offscreen.width = w;
-    offscreen.height = h;
-    const ctx = offscreen.getContext('2d');
-    const rng = createSeededRNG(42);
-
-    // Sky gradient
-    const skyGrad = ctx.createLinearGradient(0, 0, 0, h * 0.6);
-    skyGrad.addColorStop(0, theme.sky1);
-    skyGrad.addColorStop(1, theme.sky2);
-    ctx.fillStyle = skyGrad;
-    ctx.fillRect(0, 0, w, h * 0.6);
-
-    // Stars (stable positions from seeded RNG)
-    const starCount = Math.floor(15 + configState.tech * 0.2);
-    for (let i = 0; i < starCount; i++) {
-      const sx = rng() * w;
-      const sy = rng() * h * 0.5;
-      const ss = rng() * 1.2 * scale + 0.3 * scale;
-      const alpha = rng() * 0.5 + 0.15;
-      ctx.beginPath();
-      ctx.arc(sx, sy, ss, 0, Math.PI * 2);
-      ctx.fillStyle = `rgba(255,255,255,${alpha})`;
-      ctx.fill();
+  // Builds the brushes and cells once, then syncs them with configState.zoning
+  function renderZoningGrid() {
+    if (!zoningGrid) return;
+    if (!zoningGrid.children.length) {
+      zoningBrushes.innerHTML = [...Object.keys(ZONES), ERASER].map(code => `
+        <button class="zoning-brush" type="button" role="radio" data-zone="${code}"
+          aria-checked="${code === zoningBrush}"></button>
+      `).join('');
+      zoningGrid.style.setProperty('--zoning-size', ZONING_SIZE);
+      zoningGrid.innerHTML = Array.from({ length: ZONING_TILES }, (_, i) =>
+        `<button class="zoning-cell" type="button" data-index="${i}" tabindex="-1"></button>`
+      ).join('');
     }
 
-    // Ground
-    const groundY = h * 0.6;
-    const groundGrad = ctx.createLinearGradient(0, groundY, 0, h);
-    groundGrad.addColorStop(0, theme.ground);
-    groundGrad.addColorStop(1, theme.sky1);
-    ctx.fillStyle = groundGrad;
-    ctx.fillRect(0, groundY, w, h - groundY);
-
-    // Horizon glow
-    const horizonGrad = ctx.createRadialGradient(w / 2, groundY, 0, w / 2, groundY, w * 0.4);
-    horizonGrad.addColorStop(0, theme.accent + '25');
-    horizonGrad.addColorStop(1, 'transparent');
-    ctx.fillStyle = horizonGrad;
-    ctx.fillRect(0, groundY - h * 0.12, w, h * 0.24);
-
-    // Buildings (stable with seeded RNG)
-    const buildingCount = Math.floor(6 + configState.population * 0.15);
-    const maxHeight = h * 0.12 + (configState.population / 100) * h * 0.3;
-
-    for (let i = 0; i < buildingCount; i++) {
-      const jitter = (rng() - 0.5) * w * 0.04;
-      const bx = (i / buildingCount) * w + jitter;
-      const bw = (18 + rng() * 22) * scale;
-      const bh = (30 + rng() * maxHeight / scale) * scale;
-      const by = groundY - bh;
-
-      // Building body
-      const bGrad = ctx.createLinearGradient(bx, by, bx + bw, groundY);
-      bGrad.addColorStop(0, 'rgba(30, 30, 60, 0.9)');
-      bGrad.addColorStop(1, 'rgba(15, 15, 40, 0.95)');
-      ctx.fillStyle = bGrad;
-      ctx.fillRect(bx, by, bw, bh);
-
-      // Building edge glow
-      ctx.strokeStyle = theme.accent + '15';
-      ctx.lineWidth = scale;
-      ctx.strokeRect(bx, by, bw, bh);
-
-      // Windows (stable pattern)
-      const windowRows = Math.floor(bh / (8 * scale));
-      const windowCols = Math.floor(bw / (8 * scale));
-      for (let wy = 0; wy < windowRows; wy++) {
-        for (let wx = 0; wx < windowCols; wx++) {
-          const chance = rng();
-          if (chance > 0.45) {
-            const wxx = bx + 3 * scale + wx * 8 * scale;
-            const wyy = by + 3 * scale + wy * 8 * scale;
-            const lit = rng();
-            ctx.fillStyle = lit > 0.5
-              ? theme.accent + (Math.floor(lit * 60 + 15).toString(16).padStart(2, '0'))
-              : `rgba(255, 200, 100, ${lit * 0.35 + 0.08})`;
-            ctx.fillRect(wxx, wyy, 3 * scale, 3 * scale);
-          } else {
-            rng(); // consume to keep sequence aligned
-          }
-        }
-      }
-
-      // Antenna on tall buildings
-      if (bh > maxHeight * 0.6 && configState.tech > 50) {
-        ctx.strokeStyle = theme.accent + '40';
-        ctx.lineWidth = scale;
-        ctx.beginPath();
-        ctx.moveTo(bx + bw / 2, by);
-        ctx.lineTo(bx + bw / 2, by - 12 * scale);
-        ctx.stroke();
+    const layout = configState.zoning || ERASER.repeat(ZONING_TILES);
+    zoningGrid.querySelectorAll('.zoning-cell').forEach((cell, i) => {
+      const { col, row } = zoningIndexToCell(i);
+      cell.dataset.zone = layout[i];
+      cell.tabIndex = i === zoningFocus ? 0 : -1;
+      cell.setAttribute('aria-label', t('Row {row}, column {col}: {zone}', {
+        row: formatNumber(row + 1), col: formatNumber(col + 1), zone: zoneLabel(layout[i])
+      }));
+    });
+    zoningBrushes.querySelectorAll('.zoning-brush').forEach(btn => {
+      const code = btn.dataset.zone;
+      btn.textContent = code === ERASER ? t('🧽 Erase') : `${ZONES[code].icon} ${t(ZONES[code].label)}`;
+      btn.setAttribute('aria-checked', code === zoningBrush);
+    });
 
-        ctx.beginPath();
-        ctx.arc(bx + bw / 2, by - 12 * scale, 1.5 * scale, 0, Math.PI * 2);
-        ctx.fillStyle = theme.accent + 'aa';
-        ctx.fill();
-      }
+    if (zoningSummary) {
+      const painted = layout.replace(/\./g, '').length;
+      const zoned = applyZoning(configState);
+      zoningSummary.textContent = painted
+        ? t('{count} tiles · density {density} · green {green}', {
+          count: formatNumber(painted), density: formatPercent(zoned.population), green: formatPercent(zoned.greenery)
+        })
+        : t('Nothing painted — the sliders set the whole city');
     }
+  }
 
-    // Trees / Green coverage (stable)
-    if (configState.greenery > 10) {
-      const treeCount = Math.floor(configState.greenery * 0.2);
-      for (let i = 0; i < treeCount; i++) {
-        const tx = rng() * w;
-        const ty = groundY - (rng() * 4 + 2) * scale;
-        const ts = (3 + rng() * 4) * scale;
-        const greenVal = 94 + Math.floor(rng() * 50);
-
-        // Tree top
-        ctx.beginPath();
-        ctx.arc(tx, ty - ts, ts, 0, Math.PI * 2);
-        const greenAlpha = configState.greenery > 50 ? '0.55' : '0.35';
-        ctx.fillStyle = `rgba(34, 197, ${greenVal}, ${greenAlpha})`;
+  function paintZoningTile(index) {
+    const layout = (configState.zoning || ERASER.repeat(ZONING_TILES)).split('');
+    if (layout[index] === zoningBrush) return;
+    layout[index] = zoningBrush;
+    configState.zoning = normalizeZoning(layout.join(''));
+    // One history step per stroke
+    const brush = zoningBrush;
+    recordHistory(() => (brush === ERASER ? t('Zoning: erase') : t('Zoning: {zone}', { zone: t(ZONES[brush].label) })), 'zoning');
+    renderZoningGrid();
+    if (zoningPainting) {
+      // Mid-stroke only the grid and canvas follow; scores, simulation and
+      // the rest catch up once on pointerup
+      zoningPreviewPending = true;
+      renderCityCanvas();
+    } else {
+      updatePreview();
+    }
+  }
+
+  function setZoningOpen(open) {
+    if (!zoningEditor) return;
+    zoningEditor.hidden = !open;
+    zoningToggleBtn.setAttribute('aria-expanded', open);
+    if (open) {
+      renderZoningGrid();
+      // Painting is easiest to follow on the district grid
+      setCityView('isometric');
+    }
+  }
+
+  if (zoningToggleBtn) {
+    zoningToggleBtn.addEventListener('click', () => setZoningOpen(zoningEditor.hidden));
+  }
+  if (zoningBrushes) {
+    zoningBrushes.addEventListener('click', (e) => {
+      const btn = e.target.closest('.zoning-brush');
+      if (!btn) return;
+      zoningBrush = btn.dataset.zone;
+      renderZoningGrid();
+    });
+  }
+  if (zoningGrid) {
+    const cellAt = (e) => {
+      const el = document.elementFromPoint(e.clientX, e.clientY);
+      return el && el.closest ? el.closest('.zoning-cell') : null;
+    };
+    zoningGrid.addEventListener('pointerdown', (e) => {
+      const cell = e.target.closest('.zoning-cell');
+      if (!cell) return;
+      e.preventDefault();
+      zoningPainting = true;
+      zoningFocus = Number(cell.dataset.index);
+      paintZoningTile(zoningFocus);
+    });
+    // elementFromPoint rather than pointerover so touch drags paint too
+    zoningGrid.addEventListener('pointermove', (e) => {
+      if (!zoningPainting) return;
+      const cell = cellAt(e);
+      if (cell && zoningGrid.contains(cell)) paintZoningTile(Number(cell.dataset.index));
+    });
+    document.addEventListener('pointerup', () => {
+      if (!zoningPainting) return;
+      zoningPainting = false;
+      endHistoryMerge();
+      if (zoningPreviewPending) {
+        zoningPreviewPending = false;
+        updatePreview();
+      }
+    });
+    // Keyboard: Enter / Space activate the focused cell
+    zoningGrid.addEventListener('click', (e) => {
+      const cell = e.target.closest('.zoning-cell');
+      if (!cell || e.detail !== 0) return;
+      zoningFocus = Number(cell.dataset.index);
+      paintZoningTile(zoningFocus);
+      endHistoryMerge();
+    });
+    zoningGrid.addEventListener('keydown', (e) => {
+      const step = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -ZONING_SIZE, ArrowDown: ZONING_SIZE }[e.key];
+      if (step === undefined) return;
+      e.preventDefault();
+      const { col } = zoningIndexToCell(zoningFocus);
+      if ((step === -1 && col === 0) || (step === 1 && col === ZONING_SIZE - 1)) return;
+      const next = zoningFocus + step;
+      if (next < 0 || next >= ZONING_TILES) return;
+      zoningFocus = next;
+      renderZoningGrid();
+      zoningGrid.children[zoningFocus].focus();
+    });
+  }
+  if (zoningClearBtn) {
+    zoningClearBtn.addEventListener('click', () => {
+      if (!configState.zoning) return;
+      configState.zoning = '';
+      recordHistory(() => t('Zoning cleared'));
+      renderZoningGrid();
+      updatePreview();
+    });
+  }
+
+  // ------------------------------------------
+  // Scoring Model
+  // ------------------------------------------
+  // Each stat is a weighted sum of "terms". A term reads one configState input
+  // (through a lookup table for the enum inputs, or as 100 - value when
+  // inverted) and multiplies it by its weight. Models are plain JSON so they
+  // can be swapped without touching this code. Inputs are read after
+  // applyZoning, so ZONING_INPUTS can be used as terms too.
+  const SCORE_KEYS = ['sustainability', 'innovation', 'quality', 'resilience'];
+  const NUMERIC_INPUTS = Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].type === 'number');
+  const ENUM_INPUTS = Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].type === 'enum');
+  const SCORING_MODEL_STORAGE_KEY = 'futurecities:scoring-model';
+
+  const DEFAULT_SCORING_MODEL = {
+    id: 'futurecities-default',
+    name: 'Future Cities Default',
+    version: '1.1.0',
+    tables: {
+      energy: { values: { solar: 20, fusion: 15, wind: 18, tidal: 22 }, fallback: 10 },
+      transport: { values: { aerial: 10, hyperloop: 15, teleport: 8 }, fallback: 10 },
+      environment: { values: { urban: 5, coastal: 12, mountain: 10, desert: 3, arctic: 7 }, fallback: 5 }
+    },
+    scores: {
+      sustainability: [
+        { input: 'greenery', weight: 0.6, label: 'Green coverage' },
+        { input: 'energy', table: 'energy', weight: 1, label: 'Energy source' },
+        { input: 'population', invert: true, weight: 0.15, label: 'Open space' },
+        { input: 'environment', table: 'environment', weight: 1, label: 'Environment' },
+        { input: 'energySprawl', weight: -0.12, label: 'Energy far from density' }
+      ],
+      innovation: [
+        { input: 'tech', weight: 0.7, label: 'Tech level' },
+        { input: 'transport', table: 'transport', weight: 1, label: 'Transportation' },
+        { input: 'energy', table: 'energy', weight: 0.3, label: 'Energy source' }
+      ],
+      quality: [
+        { input: 'greenery', weight: 0.3, label: 'Green coverage' },
+        { input: 'population', invert: true, weight: 0.25, label: 'Open space' },
+        { input: 'tech', weight: 0.2, label: 'Tech level' },
+        { input: 'environment', table: 'environment', weight: 1.5, label: 'Environment' },
+        { input: 'greenResidential', weight: 0.1, label: 'Parks next to homes' }
+      ],
+      resilience: [
+        { input: 'population', invert: true, weight: 0.2, label: 'Open space' },
+        { input: 'greenery', weight: 0.2, label: 'Green coverage' },
+        { input: 'tech', weight: 0.3, label: 'Tech level' },
+        { input: 'energy', table: 'energy', weight: 1, label: 'Energy source' },
+        { constant: 10, label: 'Baseline' }
+      ]
+    }
+  };
+
+  // Checks a raw (e.g. JSON-parsed) model and returns a normalized copy.
+  // Throws an Error describing the first problem found.
+  function validateScoringModel(raw) {
+    if (!raw || typeof raw !== 'object') {
+      throw new Error('Scoring model must be a JSON object');
+    }
+    if (typeof raw.version !== 'string' || !raw.version) {
+      throw new Error('Scoring model needs a "version" string');
+    }
+
+    const tables = {};
+    Object.entries(raw.tables || {}).forEach(([name, table]) => {
+      if (!table || !table.values || typeof table.values !== 'object') {
+        throw new Error(`Table "${name}" needs a "values" object`);
+      }
+      Object.entries(table.values).forEach(([key, value]) => {
+        if (!Number.isFinite(value)) throw new Error(`Table "${name}" has a non-numeric value for "${key}"`);
+      });
+      tables[name] = {
+        values: Object.assign({}, table.values),
+        fallback: Number.isFinite(table.fallback) ? table.fallback : 0
+      };
+    });
+
+    const scores = {};
+    SCORE_KEYS.forEach(key => {
+      const terms = raw.scores && raw.scores[key];
+      if (!Array.isArray(terms) || !terms.length) {
+        throw new Error(`Scoring model has no terms for "${key}"`);
+      }
+      scores[key] = terms.map((term, i) => {
+        const where = `${key}[${i}]`;
+        if (!term || typeof term !== 'object') throw new Error(`${where}: term must be an object`);
+        if (Number.isFinite(term.constant)) {
+          return { constant: term.constant, weight: 1, label: String(term.label || 'Baseline') };
+        }
+        if (!NUMERIC_INPUTS.includes(term.input) && !ENUM_INPUTS.includes(term.input) && !ZONING_INPUTS.includes(term.input)) {
+          throw new Error(`${where}: unknown input "${term.input}"`);
+        }
+        if (ENUM_INPUTS.includes(term.input) && !term.table) {
+          throw new Error(`${where}: input "${term.input}" needs a lookup table`);
+        }
+        if (term.table && !tables[term.table]) {
+          throw new Error(`${where}: unknown table "${term.table}"`);
+        }
+        if (term.weight !== undefined && !Number.isFinite(term.weight)) {
+          throw new Error(`${where}: weight must be a number`);
+        }
+        return {
+          input: term.input,
+          table: term.table || null,
+          invert: !!term.invert && !term.table,
+          weight: term.weight === undefined ? 1 : term.weight,
+          label: String(term.label || term.input)
+        };
+      });
+    });
+
+    return {
+      id: String(raw.id || 'custom'),
+      name: String(raw.name || raw.id || 'Custom model'),
+      version: raw.version,
+      tables,
+      scores
+    };
+  }
+
+  function loadStoredScoringModel() {
+    try {
+      const stored = localStorage.getItem(SCORING_MODEL_STORAGE_KEY);
+      if (stored) return validateScoringModel(JSON.parse(stored));
+    } catch (e) {
+      // Ignore a broken stored model and fall back to the default
+    }
+    return validateScoringModel(DEFAULT_SCORING_MODEL);
+  }
+
+  let scoringModel = loadStoredScoringModel();
+
+  function termBase(term, state, model) {
+    if (term.constant !== undefined) return term.constant;
+    const value = state[term.input];
+    if (term.table) {
+      const table = model.tables[term.table];
+      return Object.prototype.hasOwnProperty.call(table.values, value) ? table.values[value] : table.fallback;
+    }
+    return term.invert ? 100 - value : value;
+  }
+
+  // Lookup-table inputs read like the form controls ("Solar", not "solar")
+  function enumTermLabel(input, value) {
+    return ENUM_INPUTS.includes(input) ? configValueLabel(input, value) : String(value);
+  }
+
+  function describeTerm(term, state) {
+    if (term.constant !== undefined) return t('fixed');
+    const value = state[term.input];
+    let detail = term.table ? enumTermLabel(term.input, value) : term.invert ? `100 − ${formatPercent(value)}` : formatPercent(value);
+    if (term.weight !== 1) detail += ` × ${formatNumber(term.weight)}`;
+    return detail;
+  }
+
+  // Full evaluation: final scores plus a per-term breakdown for each stat
+  function evaluateScoringModel(rawState, model) {
+    const state = applyZoning(rawState);
+    const result = { breakdown: {} };
+    SCORE_KEYS.forEach(key => {
+      const contributions = model.scores[key].map(term => ({
+        label: term.label,
+        detail: describeTerm(term, state),
+        points: termBase(term, state, model) * term.weight
+      }));
+      const raw = contributions.reduce((sum, c) => sum + c.points, 0);
+      result[key] = Math.max(0, Math.min(100, Math.round(raw)));
+      result.breakdown[key] = { raw, contributions };
+    });
+    result.livability = Math.round(SCORE_KEYS.reduce((sum, key) => sum + result[key], 0) / SCORE_KEYS.length);
+    return result;
+  }
+
+  function computeScores(state = configState) {
+    const { sustainability, innovation, quality, resilience, livability } = evaluateScoringModel(state, scoringModel);
+    return { sustainability, innovation, quality, resilience, livability };
+  }
+
+  // Score bars, their explanations and the livability line; cheap enough
+  // to run every frame of a preset tween
+  function updateScorePreview() {
+    const result = evaluateScoringModel(configState, scoringModel);
+
+    // Update bars and their explanations
+    SCORE_KEYS.forEach(key => {
+      updateStatBar('stat-' + key, result[key]);
+      renderScoreExplain('stat-' + key, result[key], result.breakdown[key]);
+    });
+
+    // Update score
+    const scoreEl = document.getElementById('preview-score');
+    scoreEl.textContent = t('Livability: {score}', { score: formatNumber(result.livability) });
+  }
+
+  function updatePreview() {
+    updateScorePreview();
+    refreshPresetBasis();
+    updateAmbientMix();
+
+    // Update city canvas
+    updateWeatherToggle();
+    refreshGrowthSimulation();
+    refreshStressTests();
+    syncSeedControl();
+    renderCityCanvas();
+    refreshBlueprintCompare();
+    scheduleCityDescription();
+  }
+
+  function updateStatBar(id, value) {
+    const el = document.getElementById(id);
+    if (!el) return;
+    const fill = el.querySelector('.stat-fill');
+    const val = el.querySelector('.stat-val');
+    if (fill) fill.style.setProperty('--fill', value + '%');
+    if (val) val.textContent = formatPercent(value);
+  }
+
+  function renderScoreExplain(id, value, breakdown) {
+    const list = document.querySelector(`#${id} .explain-list`);
+    if (!list) return;
+    const formatPoints = (n) => (n >= 0 ? '+' : '−') + formatNumber(Math.abs(n), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    const capped = Math.round(breakdown.raw) !== value;
+
+    list.innerHTML = breakdown.contributions.map(c => `
+      <li>
+        <span class="explain-label">${escapeHTML(t(c.label))}</span>
+        <span class="explain-detail">${escapeHTML(c.detail)}</span>
+        <span class="explain-points">${formatPoints(c.points)}</span>
+      </li>
+    `).join('') + `
+      <li class="explain-total">
+        <span class="explain-label">${escapeHTML(t('Total'))}</span>
+        <span class="explain-detail">${formatNumber(breakdown.raw, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}${capped ? ' ' + escapeHTML(t('(capped)')) : ''}</span>
+        <span class="explain-points">${formatNumber(value)}</span>
+      </li>
+    `;
+  }
+
+  // Scoring model controls: load from JSON, download, reset
+  const scoringModelName = document.getElementById('scoring-model-name');
+  const scoringModelFile = document.getElementById('scoring-model-file');
+  const scoringModelLoadBtn = document.getElementById('scoring-model-load');
+  const scoringModelDownloadBtn = document.getElementById('scoring-model-download');
+  const scoringModelResetBtn = document.getElementById('scoring-model-reset');
+
+  function updateScoringModelInfo() {
+    if (scoringModelName) {
+      scoringModelName.textContent = `${t(scoringModel.name)} v${scoringModel.version}`;
+    }
+    if (scoringModelResetBtn) {
+      scoringModelResetBtn.disabled = scoringModel.id === DEFAULT_SCORING_MODEL.id &&
+        scoringModel.version === DEFAULT_SCORING_MODEL.version;
+    }
+  }
+  onLocaleChange(updateScoringModelInfo);
+
+  function setScoringModel(model) {
+    scoringModel = validateScoringModel(model);
+    try {
+      if (model === DEFAULT_SCORING_MODEL) {
+        localStorage.removeItem(SCORING_MODEL_STORAGE_KEY);
+      } else {
+        localStorage.setItem(SCORING_MODEL_STORAGE_KEY, JSON.stringify(scoringModel));
+      }
+    } catch (e) {
+      // Storage unavailable: the model still applies for this visit
+    }
+    updateScoringModelInfo();
+    updatePreview();
+  }
+
+  if (scoringModelLoadBtn && scoringModelFile) {
+    scoringModelLoadBtn.addEventListener('click', () => scoringModelFile.click());
+    scoringModelFile.addEventListener('change', () => {
+      const file = scoringModelFile.files[0];
+      scoringModelFile.value = '';
+      if (!file) return;
+      file.text().then(text => {
+        setScoringModel(JSON.parse(text));
+        showToast(t('Scoring model "{name}" v{version} loaded', { name: t(scoringModel.name), version: scoringModel.version }));
+      }).catch(err => {
+        showToast(t('Could not load scoring model: {reason}', { reason: err.message }));
+      });
+    });
+  }
+
+  if (scoringModelDownloadBtn) {
+    scoringModelDownloadBtn.addEventListener('click', () => {
+      const blob = new Blob([JSON.stringify(scoringModel, null, 2)], { type: 'application/json' });
+      downloadBlob(blob, `${scoringModel.id}-${scoringModel.version}.json`);
+    });
+  }
+
+  if (scoringModelResetBtn) {
+    scoringModelResetBtn.addEventListener('click', () => {
+      setScoringModel(DEFAULT_SCORING_MODEL);
+      showToast(t('Scoring model reset to default'));
+    });
+  }
+
+  updateScoringModelInfo();
+
+  // ------------------------------------------
+  // City Canvas Visualization
+  // ------------------------------------------
+  const cityCanvas = document.getElementById('city-canvas');
+  const cityCtx = cityCanvas ? cityCanvas.getContext('2d') : null;
+
+  // Scene model and drawing live in city-scene.js, shared with the render worker
+  const {
+    createSeededRNG,
+    themes,
+    DEFAULT_TIME_OF_DAY,
+    computeLighting,
+    MODEL_WIDTH,
+    generateCityModel,
+    drawCityModel,
+    drawMotionLayer,
+    generateDistrictModel,
+    drawDistrictModel
+  } = window.CityScene;
+
+  // Seed for building/window/star placement — part of a blueprint's identity
+  const DEFAULT_RENDER_SEED = 42;
+  let renderSeed = DEFAULT_RENDER_SEED;
+  // Set while the growth simulation is open: city-canvas shows that year instead of configState
+  let simulatedState = null;
+  // 'skyline' (side-on) or 'isometric' (district grid)
+  let cityViewMode = 'skyline';
+
+  // Last rendered static layer ({ image, model }) to avoid redrawing every frame
+  let staticSceneCache = null;
+  let lastConfigKey = '';
+
+  // What city-canvas shows: the simulated year or the config, zoning applied
+  function displayedState() {
+    return applyZoning(simulatedState || configState);
+  }
+
+  // Inputs that decide the scene model (what stands where)
+  function getSceneModelKey() {
+    const state = displayedState();
+    return [
+      state.environment,
+      state.population,
+      state.energy,
+      state.greenery,
+      state.transport,
+      state.tech,
+      state.zoning,
+      renderSeed
+    ].join('|');
+  }
+
+  function getConfigKey() {
+    return [
+      getSceneModelKey(),
+      Math.round(timeOfDay * 4), // Rebuild every quarter hour of sim time
+      cityCanvas ? cityCanvas.offsetWidth : 0,
+      cityCanvas ? cityCanvas.offsetHeight : 0
+    ].join('|');
+  }
+
+  // Layout seed control: picks which of the possible skylines for the
+  // current inputs is drawn. Saved with blueprints and in share links.
+  const seedInput = document.getElementById('config-seed');
+  const seedShuffleBtn = document.getElementById('seed-shuffle-btn');
+
+  function setRenderSeed(seed) {
+    const value = renderSeed = Math.min(MAX_RENDER_SEED, Math.max(1, seed));
+    recordHistory(() => t('Layout seed {seed}', { seed: value }));
+    updatePreview();
+  }
+
+  function syncSeedControl() {
+    if (seedInput && document.activeElement !== seedInput) seedInput.value = renderSeed;
+  }
+
+  if (seedInput) {
+    seedInput.addEventListener('change', () => {
+      const seed = Number(seedInput.value);
+      if (!Number.isInteger(seed) || seed < 1) {
+        seedInput.value = renderSeed;
+        showToast(t('Layout seed must be a whole number from 1'));
+        return;
+      }
+      setRenderSeed(seed);
+      seedInput.value = renderSeed;
+    });
+  }
+  if (seedShuffleBtn) {
+    seedShuffleBtn.addEventListener('click', () => {
+      setRenderSeed(1 + Math.floor(Math.random() * MAX_RENDER_SEED));
+    });
+  }
+
+  // ------------------------------------------
+  // Day / Night Lighting
+  // ------------------------------------------
+  // Palettes and computeLighting() are in city-scene.js
+  let timeOfDay = DEFAULT_TIME_OF_DAY;
+
+  function formatTimeOfDay(hour) {
+    const minutes = Math.round(hour * 60) % (24 * 60);
+    return String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
+  }
+
+  // Model for a canvas of w×h pixels: the logical height follows its aspect
+  function modelForCanvas(state, seed, w, h) {
+    return generateCityModel(state, seed, h * MODEL_WIDTH / w);
+  }
+
+  // Synchronous path: compare view, and city-canvas when the worker is unavailable
+  function renderStaticScene(model, w, h, theme, lighting) {
+    const offscreen = document.createElement('canvas');
+    offscreen.width = w;
+    offscreen.height = h;
+    drawCityModel(offscreen.getContext('2d'), model, w / model.width, theme, lighting);
+    return offscreen;
+  }
+
+  // ------------------------------------------
+  // Scene Render Worker
+  // ------------------------------------------
+  // Static layers are drawn off the main thread on an OffscreenCanvas
+  // (city-worker.js). Jobs are debounced and only the newest one is kept:
+  // while a slider drags, one job is in flight, the next one waits and
+  // anything older is dropped. The previous image stays on screen meanwhile.
+  const SCENE_JOB_DEBOUNCE = 60;
+  let sceneWorker = null;
+  let sceneJobInFlight = null;
+  let sceneJobPending = null;
+
+  function createSceneWorker() {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return null;
+    try {
+      const worker = new Worker('city-worker.js');
+      worker.addEventListener('message', onSceneRendered);
+      // e.g. file:// pages or a failed script load: render inline from now on
+      worker.addEventListener('error', disableSceneWorker);
+      return worker;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function disableSceneWorker() {
+    if (!sceneWorker) return;
+    sceneWorker.terminate();
+    sceneWorker = null;
+    sceneJobInFlight = null;
+    sceneJobPending = null;
+    lastConfigKey = '';
+    renderCityCanvas();
+  }
+
+  function onSceneRendered(e) {
+    const { key, image, error } = e.data;
+    const job = sceneJobInFlight;
+    sceneJobInFlight = null;
+    if (error) {
+      console.warn('Scene worker failed, rendering inline:', error);
+      disableSceneWorker();
+      return;
+    }
+    if (key === lastConfigKey) {
+      setStaticScene({ image, model: job.model, modelKey: job.modelKey });
+      renderCityCanvas();
+    } else {
+      image.close(); // Superseded while rendering
+    }
+    flushSceneJob();
+  }
+
+  function setStaticScene(scene) {
+    // Worker results are ImageBitmaps, which hold memory until closed
+    if (staticSceneCache && staticSceneCache.image.close) staticSceneCache.image.close();
+    staticSceneCache = scene;
+    refreshCityInspector();
+  }
+
+  function flushSceneJob() {
+    if (!sceneWorker || sceneJobInFlight || !sceneJobPending) return;
+    sceneJobInFlight = sceneJobPending;
+    sceneJobPending = null;
+    sceneWorker.postMessage(sceneJobInFlight);
+  }
+
+  const scheduleSceneFlush = debounce(flushSceneJob, SCENE_JOB_DEBOUNCE);
+
+  function requestStaticScene(job) {
+    // The first frame (and every frame without a worker) is drawn inline
+    if (!sceneWorker || !staticSceneCache) {
+      setStaticScene({
+        image: renderStaticScene(job.model, job.w, job.h, job.theme, job.lighting),
+        model: job.model,
+        modelKey: job.modelKey
+      });
+      return;
+    }
+    sceneJobPending = job;
+    scheduleSceneFlush();
+  }
+
+  sceneWorker = cityCanvas ? createSceneWorker() : null;
+
+  // ------------------------------------------
+  // Weather
+  // ------------------------------------------
+  const WEATHER_BY_ENVIRONMENT = { coastal: 'rain', arctic: 'snow', desert: 'sandstorm', mountain: 'fog' };
+  const WEATHER_LABELS = { rain: '🌧️ Rain', snow: '❄️ Snow', sandstorm: '🌪️ Sandstorm', fog: '🌫️ Fog' };
+  const WEATHER_COUNTS = { rain: 140, snow: 90, sandstorm: 70, fog: 6 };
+  let weatherEnabled = true;
+  const weather = { type: null, particles: [], w: 0, h: 0, last: 0 };
+
+  function resetWeather(type, w, h) {
+    const rng = createSeededRNG(7);
+    weather.type = type;
+    weather.w = w;
+    weather.h = h;
+    weather.last = 0;
+    weather.particles = Array.from({ length: WEATHER_COUNTS[type] }, () => ({
+      x: rng() * w,
+      y: rng() * h,
+      size: rng(),
+      speed: rng(),
+      phase: rng() * Math.PI * 2
+    }));
+  }
+
+  // Particles move in px per ms (times scale), so speed is frame-rate independent
+  function drawWeather(ctx, w, h, scale, now) {
+    const type = weatherEnabled ? WEATHER_BY_ENVIRONMENT[configState.environment] : null;
+    if (!type) return;
+    if (weather.type !== type || weather.w !== w || weather.h !== h) resetWeather(type, w, h);
+    const dt = weather.last && !prefersReducedMotion ? Math.min(100, now - weather.last) : 0;
+    weather.last = now;
+    const groundY = h * 0.6;
+
+    if (type === 'rain') {
+      ctx.strokeStyle = 'rgba(170, 200, 255, 0.35)';
+      ctx.lineWidth = 0.8 * scale;
+      ctx.beginPath();
+      weather.particles.forEach(p => {
+        const len = (8 + p.size * 8) * scale;
+        p.y += (0.5 + p.speed * 0.3) * scale * dt;
+        p.x += (0.12 + p.speed * 0.08) * scale * dt;
+        if (p.y > h) { p.y = -len; p.x = (p.x + w * 0.37) % w; }
+        if (p.x > w) p.x -= w;
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(p.x + len * 0.25, p.y + len);
+      });
+      ctx.stroke();
+    } else if (type === 'snow') {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+      ctx.beginPath();
+      weather.particles.forEach(p => {
+        p.y += (0.02 + p.speed * 0.03) * scale * dt;
+        p.x += Math.sin(now / 1200 + p.phase) * 0.015 * scale * dt;
+        if (p.y > h) { p.y = -4 * scale; p.x = (p.x + w * 0.37) % w; }
+        if (p.x < 0) p.x += w;
+        if (p.x > w) p.x -= w;
+        const r = (0.8 + p.size * 1.4) * scale;
+        ctx.moveTo(p.x + r, p.y);
+        ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+      });
+      ctx.fill();
+    } else if (type === 'sandstorm') {
+      const haze = ctx.createLinearGradient(0, 0, 0, h);
+      haze.addColorStop(0, 'rgba(251, 146, 60, 0.04)');
+      haze.addColorStop(1, 'rgba(251, 146, 60, 0.16)');
+      ctx.fillStyle = haze;
+      ctx.fillRect(0, 0, w, h);
+      ctx.strokeStyle = 'rgba(230, 170, 110, 0.3)';
+      ctx.lineWidth = scale;
+      ctx.beginPath();
+      weather.particles.forEach(p => {
+        const len = (10 + p.size * 20) * scale;
+        p.x += (0.3 + p.speed * 0.3) * scale * dt;
+        p.y += Math.sin(now / 600 + p.phase) * 0.01 * scale * dt;
+        if (p.x > w) { p.x = -len; p.y = groundY - h * 0.5 + ((p.y + h * 0.29) % (h * 0.6)); }
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(p.x + len, p.y);
+      });
+      ctx.stroke();
+    } else if (type === 'fog') {
+      weather.particles.forEach((p, i) => {
+        const r = w * (0.25 + p.size * 0.15);
+        const fy = groundY - h * 0.15 + (i % 3) * h * 0.08;
+        p.x += (0.004 + p.speed * 0.006) * scale * dt;
+        if (p.x - r > w) p.x = -r;
+        const fogGrad = ctx.createRadialGradient(p.x, fy, 0, p.x, fy, r);
+        fogGrad.addColorStop(0, 'rgba(200, 210, 230, 0.14)');
+        fogGrad.addColorStop(1, 'transparent');
+        ctx.fillStyle = fogGrad;
+        ctx.fillRect(p.x - r, fy - r, r * 2, r * 2);
+      });
+    }
+  }
+
+  // Time-of-day and weather controls under the preview
+  const timeSlider = document.getElementById('time-slider');
+  const timeLabel = document.getElementById('time-label');
+  const timePlayBtn = document.getElementById('time-play-btn');
+  const weatherToggle = document.getElementById('weather-toggle');
+  const HOURS_PER_SECOND = 0.5; // Auto-play runs a full day in 48s
+  let dayCyclePlaying = false;
+
+  function setTimeOfDay(hour) {
+    timeOfDay = ((hour % 24) + 24) % 24;
+    if (timeSlider) {
+      timeSlider.value = timeOfDay;
+      timeSlider.setAttribute('aria-valuetext', formatTimeOfDay(timeOfDay));
+    }
+    if (timeLabel) timeLabel.textContent = formatTimeOfDay(timeOfDay);
+  }
+
+  function setDayCyclePlaying(playing) {
+    dayCyclePlaying = playing && !prefersReducedMotion;
+    if (timePlayBtn) {
+      timePlayBtn.textContent = dayCyclePlaying ? '❚❚' : '▶';
+      timePlayBtn.setAttribute('aria-pressed', dayCyclePlaying);
+      timePlayBtn.setAttribute('aria-label', dayCyclePlaying ? t('Pause day/night cycle') : t('Play day/night cycle'));
+    }
+  }
+
+  function updateWeatherToggle() {
+    if (!weatherToggle) return;
+    const type = WEATHER_BY_ENVIRONMENT[configState.environment];
+    weatherToggle.disabled = !type;
+    weatherToggle.textContent = type ? t(WEATHER_LABELS[type]) : t('☀️ Clear');
+    weatherToggle.classList.toggle('active', !!type && weatherEnabled);
+    weatherToggle.setAttribute('aria-pressed', !!type && weatherEnabled);
+  }
+
+  if (timeSlider) {
+    timeSlider.addEventListener('input', () => {
+      setDayCyclePlaying(false);
+      setTimeOfDay(parseFloat(timeSlider.value));
+      renderCityCanvas();
+      scheduleCityDescription();
+    });
+  }
+  if (timePlayBtn) {
+    timePlayBtn.disabled = prefersReducedMotion;
+    timePlayBtn.addEventListener('click', () => setDayCyclePlaying(!dayCyclePlaying));
+    onLocaleChange(() => setDayCyclePlaying(dayCyclePlaying));
+  }
+  if (weatherToggle) {
+    weatherToggle.addEventListener('click', () => {
+      weatherEnabled = !weatherEnabled;
+      updateWeatherToggle();
+      renderCityCanvas();
+      scheduleCityDescription();
+    });
+  }
+  setTimeOfDay(timeOfDay);
+
+  // ------------------------------------------
+  // Stress Tests
+  // ------------------------------------------
+  // Each event starts from a base severity (0–100), shifted by how exposed the
+  // environment, energy source and transport are, then scaled by the numeric
+  // inputs. The resilience score always absorbs part of the blow.
+  const STRESS_EVENTS = [
+    {
+      id: 'heatwave', label: 'Heatwave', icon: '🔥', severity: 60,
+      modifiers: {
+        environment: { desert: 20, urban: 10, coastal: -5, mountain: -10, arctic: -25 },
+        energy: { solar: -5, fusion: -10, wind: 5 }
+      },
+      weights: { population: 0.15, greenery: -0.25, tech: -0.1 }
+    },
+    {
+      id: 'flood', label: 'Flood', icon: '🌊', severity: 55,
+      modifiers: {
+        environment: { coastal: 25, urban: 5, mountain: -5, arctic: -5, desert: -15 },
+        energy: { tidal: 10 },
+        transport: { hyperloop: 10, aerial: -10, teleport: -5 }
+      },
+      weights: { greenery: -0.15, tech: -0.15 }
+    },
+    {
+      id: 'grid-failure', label: 'Grid failure', icon: '⚡', severity: 60,
+      modifiers: {
+        energy: { fusion: 10, tidal: 5, wind: -5, solar: -10 },
+        transport: { teleport: 20, hyperloop: 10 }
+      },
+      weights: { population: 0.1, tech: -0.25 }
+    },
+    {
+      id: 'dust-storm', label: 'Dust storm', icon: '🌪️', severity: 45,
+      modifiers: {
+        environment: { desert: 30, mountain: 5, coastal: -10, arctic: -15 },
+        energy: { solar: 20, wind: 5 },
+        transport: { aerial: 15 }
+      },
+      weights: { greenery: -0.15, tech: -0.1 }
+    },
+    {
+      id: 'pandemic', label: 'Pandemic', icon: '🦠', severity: 55,
+      modifiers: {
+        environment: { urban: 10, arctic: -5 },
+        transport: { hyperloop: 10, aerial: 5, teleport: 15 }
+      },
+      weights: { population: 0.25, greenery: -0.1, tech: -0.3 }
+    },
+    {
+      id: 'cyberattack', label: 'Cyberattack', icon: '💻', severity: 50,
+      modifiers: {
+        energy: { fusion: 5 },
+        transport: { teleport: 20, hyperloop: 10, aerial: 10 }
+      },
+      // Smart infrastructure is both the target and the defence
+      weights: { tech: -0.05 }
+    }
+  ];
+  const STRESS_RESILIENCE_WEIGHT = 0.35;
+  const STRESS_FAILURE_IMPACT = 65;
+  const STRESS_DURATION = 3200;
+  let activeStressEvent = null;
+
+  function getStressEvent(id) {
+    return STRESS_EVENTS.find(event => event.id === id);
+  }
+
+  // Scores one event against a config. Returns { impact, survived,
+  // recoveryMonths, factors } where factors list each signed contribution.
+  function assessStressEvent(state, event) {
+    const factors = [{ label: t('Base severity'), value: event.severity }];
+    Object.keys(event.modifiers).forEach(key => {
+      const value = event.modifiers[key][state[key]];
+      if (value) factors.push({ label: configValueLabel(key, state[key]), value });
+    });
+    const zoned = applyZoning(state); // Painted density and parks count here too
+    Object.keys(event.weights).forEach(key => {
+      const value = Math.round(zoned[key] * event.weights[key]);
+      if (value) factors.push({ label: `${t(CONFIG_LABELS[key])} ${configValueLabel(key, zoned[key])}`, value });
+    });
+    const resilience = computeScores(state).resilience;
+    factors.push({ label: t('Resilience score {score}', { score: formatNumber(resilience) }), value: -Math.round(resilience * STRESS_RESILIENCE_WEIGHT) });
+
+    const impact = Math.min(100, Math.max(0, factors.reduce((sum, f) => sum + f.value, 0)));
+    return {
+      impact,
+      survived: impact < STRESS_FAILURE_IMPACT,
+      // Recovery grows faster than linearly: a bad hit takes years, not months
+      recoveryMonths: impact ? Math.max(1, Math.round(impact * impact / 200)) : 0,
+      factors
+    };
+  }
+
+  function describeStressOutcome(result) {
+    if (!result.recoveryMonths) return t('Unaffected');
+    const time = result.recoveryMonths >= 24
+      ? t('{count} years', { count: formatNumber(Math.round(result.recoveryMonths / 12)) })
+      : tPlural(result.recoveryMonths, '{count} month', '{count} months', { count: formatNumber(result.recoveryMonths) });
+    return result.survived ? t('Survives · recovers in {time}', { time }) : t('Critical failure · {time} to rebuild', { time });
+  }
+
+  // Canvas overlay for the event currently playing. Eases in and out over
+  // STRESS_DURATION; with reduced motion it holds the peak frame instead.
+  function drawStressEvent(ctx, w, h, scale, now) {
+    if (!activeStressEvent) return;
+    const t = (now - activeStressEvent.start) / STRESS_DURATION;
+    if (t >= 1) return;
+    const envelope = prefersReducedMotion ? 1 : Math.sin(Math.PI * Math.max(0, t));
+    const strength = envelope * (0.35 + activeStressEvent.impact / 100 * 0.65);
+    const groundY = h * 0.6;
+
+    ctx.save();
+    switch (activeStressEvent.id) {
+      case 'heatwave': {
+        ctx.fillStyle = `rgba(244, 63, 94, ${0.25 * strength})`;
+        ctx.fillRect(0, 0, w, h);
+        ctx.strokeStyle = `rgba(251, 146, 60, ${0.35 * strength})`;
+        ctx.lineWidth = scale;
+        for (let i = 0; i < 6; i++) {
+          const y = groundY - (20 + i * 18) * scale;
+          ctx.beginPath();
+          for (let x = 0; x <= w; x += 8 * scale) {
+            const wave = Math.sin(x / (20 * scale) + now / 300 + i) * 3 * scale;
+            if (x === 0) ctx.moveTo(x, y + wave);
+            else ctx.lineTo(x, y + wave);
+          }
+          ctx.stroke();
+        }
+        break;
+      }
+      case 'flood': {
+        const level = groundY - strength * h * 0.18;
+        const water = ctx.createLinearGradient(0, level, 0, h);
+        water.addColorStop(0, 'rgba(59, 130, 246, 0.55)');
+        water.addColorStop(1, 'rgba(30, 58, 138, 0.8)');
+        ctx.fillStyle = water;
+        ctx.beginPath();
+        ctx.moveTo(0, h);
+        for (let x = 0; x <= w; x += 10 * scale) {
+          ctx.lineTo(x, level + Math.sin(x / (30 * scale) + now / 400) * 3 * scale);
+        }
+        ctx.lineTo(w, h);
+        ctx.closePath();
         ctx.fill();
+        break;
+      }
+      case 'grid-failure': {
+        // Blackout that stutters while backup systems fight to come online
+        const flicker = prefersReducedMotion || Math.sin(now / 60) > -0.6 ? 1 : 0.4;
+        ctx.fillStyle = `rgba(2, 2, 10, ${0.75 * strength * flicker})`;
+        ctx.fillRect(0, 0, w, h);
+        break;
+      }
+      case 'dust-storm': {
+        ctx.fillStyle = `rgba(180, 120, 60, ${0.45 * strength})`;
+        ctx.fillRect(0, 0, w, h);
+        ctx.strokeStyle = `rgba(230, 170, 110, ${0.5 * strength})`;
+        ctx.lineWidth = 1.5 * scale;
+        ctx.beginPath();
+        for (let i = 0; i < 40; i++) {
+          const y = (i * 37 % 100) / 100 * h;
+          const x = ((i * 53 + now / 2) % (w + 80 * scale)) - 40 * scale;
+          ctx.moveTo(x, y);
+          ctx.lineTo(x + 30 * scale, y);
+        }
+        ctx.stroke();
+        break;
+      }
+      case 'pandemic': {
+        ctx.fillStyle = `rgba(52, 211, 153, ${0.12 * strength})`;
+        ctx.fillRect(0, 0, w, h);
+        for (let i = 0; i < 7; i++) {
+          const cx = ((i + 0.5) / 7) * w;
+          const cy = groundY - (30 + (i * 29 % 60)) * scale;
+          const pulse = prefersReducedMotion ? 0.5 : ((now / 1200 + i / 7) % 1);
+          ctx.strokeStyle = `rgba(244, 63, 94, ${(1 - pulse) * 0.6 * strength})`;
+          ctx.lineWidth = 1.5 * scale;
+          ctx.beginPath();
+          ctx.arc(cx, cy, (5 + pulse * 40) * scale, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+        break;
+      }
+      case 'cyberattack': {
+        // Glitch: shift horizontal slices of the frame and tint them green
+        const slices = 8;
+        for (let i = 0; i < slices; i++) {
+          if (!prefersReducedMotion && Math.sin(now / 90 + i * 2.3) < 0.2) continue;
+          const sy = (i / slices) * h;
+          const offset = Math.sin(now / 50 + i) * 14 * scale * strength;
+          ctx.drawImage(ctx.canvas, 0, sy, w, h / slices, offset, sy, w, h / slices);
+        }
+        ctx.fillStyle = `rgba(0, 255, 120, ${0.1 * strength})`;
+        for (let y = 0; y < h; y += 4 * scale) ctx.fillRect(0, y, w, scale);
+        break;
+      }
+    }
+    ctx.restore();
+  }
+
+  const stressToggle = document.getElementById('stress-toggle-btn');
+  const stressPanel = document.getElementById('stress-test');
+  const stressList = document.getElementById('stress-list');
+  const stressPlayAllBtn = document.getElementById('stress-play-all');
+  let stressQueue = [];
+  let stressTimer = null;
+
+  // The rows are built once; renders only rewrite their text and values so
+  // an open breakdown and keyboard focus survive slider drags
+  function buildStressRows() {
+    stressList.innerHTML = STRESS_EVENTS.map(event => `
+        <li class="stress-item" data-id="${event.id}">
+          <button class="stress-play" data-id="${event.id}">
+            <span aria-hidden="true">${event.icon}</span>
+          </button>
+          <div class="stress-body">
+            <div class="stress-head">
+              <span class="stress-name"></span>
+              <span class="stress-impact"></span>
+            </div>
+            <div class="stat-bar"><div class="stat-fill"></div></div>
+            <details class="stat-explain">
+              <summary></summary>
+              <ul class="explain-list"></ul>
+            </details>
+          </div>
+        </li>`).join('');
+  }
+
+  // Reuses the list's <li> rows, adding or dropping some as modifiers come and go
+  function updateStressFactors(list, factors) {
+    while (list.children.length < factors.length) list.insertAdjacentHTML('beforeend', '<li><span></span><span></span></li>');
+    while (list.children.length > factors.length) list.lastElementChild.remove();
+    factors.forEach((f, i) => {
+      const [label, value] = list.children[i].children;
+      label.textContent = f.label;
+      value.textContent = `${f.value > 0 ? '+' : '−'}${formatNumber(Math.abs(f.value))}`;
+    });
+  }
+
+  function renderStressTests() {
+    if (!stressList) return;
+    if (!stressList.childElementCount) buildStressRows();
+    STRESS_EVENTS.forEach(event => {
+      const row = stressList.querySelector(`.stress-item[data-id="${event.id}"]`);
+      const result = assessStressEvent(configState, event);
+      row.classList.toggle('survived', result.survived);
+      row.classList.toggle('failed', !result.survived);
+      row.classList.toggle('playing', Boolean(activeStressEvent && activeStressEvent.id === event.id));
+      row.querySelector('.stress-play').setAttribute('aria-label', t('Play {event} on the city', { event: t(event.label) }));
+      row.querySelector('.stress-name').textContent = t(event.label);
+      row.querySelector('.stress-impact').textContent = t('Impact {impact}', { impact: formatNumber(result.impact) });
+      row.querySelector('.stat-fill').style.setProperty('--fill', `${result.impact}%`);
+      row.querySelector('.stat-explain summary').textContent = describeStressOutcome(result);
+      updateStressFactors(row.querySelector('.explain-list'), result.factors);
+    });
+  }
+
+  function finishStressEvent() {
+    clearTimeout(stressTimer);
+    activeStressEvent = null;
+    const next = stressQueue.shift();
+    if (next) {
+      playStressEvent(next);
+    } else {
+      renderStressTests();
+      renderCityCanvas();
+    }
+  }
+
+  function playStressEvent(id) {
+    const event = getStressEvent(id);
+    if (!event) return;
+    clearTimeout(stressTimer);
+    activeStressEvent = { id, start: Date.now(), impact: assessStressEvent(configState, event).impact };
+    renderStressTests();
+    renderCityCanvas();
+    stressTimer = setTimeout(finishStressEvent, STRESS_DURATION);
+  }
+
+  // Called from updatePreview so impacts follow configurator edits
+  function refreshStressTests() {
+    const panel = document.getElementById('stress-test');
+    if (!panel || panel.hidden) return;
+    renderStressTests();
+  }
+
+  if (stressToggle && stressPanel) {
+    stressToggle.addEventListener('click', () => {
+      const isHidden = stressPanel.hidden;
+      stressPanel.hidden = !isHidden;
+      stressToggle.setAttribute('aria-expanded', isHidden);
+      if (isHidden) {
+        renderStressTests();
+      } else {
+        stressQueue = [];
+        finishStressEvent();
+      }
+    });
+  }
+  if (stressList) {
+    stressList.addEventListener('click', (e) => {
+      const btn = e.target.closest('.stress-play');
+      if (!btn) return;
+      stressQueue = [];
+      playStressEvent(btn.dataset.id);
+    });
+  }
+  if (stressPlayAllBtn) {
+    stressPlayAllBtn.addEventListener('click', () => {
+      stressQueue = STRESS_EVENTS.slice(1).map(event => event.id);
+      playStressEvent(STRESS_EVENTS[0].id);
+    });
+  }
+
+  // ------------------------------------------
+  // City Canvas Inspector
+  // ------------------------------------------
+  // Hit-testing against the displayed scene model. Hover (or arrow keys)
+  // shows a tooltip, click (or Enter) pins an info card. Highlights are DOM
+  // boxes over the canvas so they never end up in PNG exports or thumbnails.
+  const METERS_PER_UNIT = 2.5;
+  const MW_FORMAT = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+  const DISTRICT_WIDTH = 150; // Model units: four districts across the skyline
+  const DISTRICT_PREFIXES = ['Neon', 'Aurora', 'Harbor', 'Cobalt', 'Solace', 'Vertex', 'Ember', 'Lumen', 'Nova', 'Quartz', 'Halcyon', 'Zenith'];
+  const DISTRICT_SUFFIXES = ['Heights', 'Quarter', 'Spire', 'Commons', 'Reach', 'Terrace', 'Arcology', 'Wharf'];
+  const ENTITY_KINDS = ['windTurbines', 'trees', 'hyperloopTubes', 'buildings', 'teleportBeams'];
+
+  const cityTooltip = document.getElementById('city-tooltip');
+  const cityInfoCard = document.getElementById('city-info-card');
+  const cityInspectorLive = document.getElementById('city-inspector-live');
+  const cityHoverBox = document.getElementById('city-hover-box');
+  const cityPinnedBox = document.getElementById('city-pinned-box');
+
+  // { kind, index } references into the displayed model
+  let inspectorHover = null;
+  let inspectorPinned = null;
+  let inspectedModelKey = '';
+
+  function inspectedModel() {
+    return staticSceneCache ? staticSceneCache.model : null;
+  }
+
+  function getEntity(model, ref) {
+    return ref && model && model[ref.kind] ? model[ref.kind][ref.index] : undefined;
+  }
+
+  function districtName(model, x) {
+    const index = Math.max(0, Math.floor(x / DISTRICT_WIDTH));
+    const rng = createSeededRNG(((model.seed + (index + 1) * 7919) % MAX_RENDER_SEED) + 1);
+    rng(); // The first draw barely varies between nearby seeds
+    return DISTRICT_PREFIXES[Math.floor(rng() * DISTRICT_PREFIXES.length)] + ' ' +
+      DISTRICT_SUFFIXES[Math.floor(rng() * DISTRICT_SUFFIXES.length)];
+  }
+
+  // Model-unit box around an entity, used for hit-testing and highlights
+  function entityBounds(model, kind, e) {
+    switch (kind) {
+      case 'buildings': {
+        const top = e.antenna ? e.antenna.y - 2 : e.y;
+        return { x: e.x, y: top, w: e.width, h: model.groundY - top };
+      }
+      case 'trees':
+        return { x: e.x - e.size, y: e.y - e.size * 2, w: e.size * 2, h: e.size * 2.3 };
+      case 'windTurbines':
+        return { x: e.x - e.bladeLength, y: e.y - e.bladeLength, w: e.bladeLength * 2, h: e.baseY - e.y + e.bladeLength };
+      case 'hyperloopTubes':
+        return { x: 0, y: e.y - e.sag - 4, w: model.width, h: e.sag + 8 };
+      case 'teleportBeams':
+        return { x: e.x - e.width / 2 - 2, y: 0, w: e.width + 4, h: model.groundY };
+      default:
+        return null;
+    }
+  }
+
+  function hitTestCity(model, x, y) {
+    for (const kind of ENTITY_KINDS) {
+      const list = model[kind];
+      // Last drawn is on top
+      for (let i = list.length - 1; i >= 0; i--) {
+        const e = list[i];
+        if (kind === 'hyperloopTubes') {
+          const t = x / model.width;
+          if (Math.abs(y - (e.y - e.sag * 4 * t * (1 - t))) <= 4) return { kind, index: i };
+          continue;
+        }
+        const b = entityBounds(model, kind, e);
+        if (x >= b.x && x <= b.x + b.w && y >= b.y && y <= b.y + b.h) return { kind, index: i };
+      }
+    }
+    return null;
+  }
+
+  // Title, plain-text summary and detail rows for one entity
+  function describeCityEntity(model, ref) {
+    const e = getEntity(model, ref);
+    const state = simulatedState || configState;
+    const meters = (units) => Math.round(units * METERS_PER_UNIT);
+    const efficiency = 1 - state.tech / 200;
+
+    switch (ref.kind) {
+      case 'buildings': {
+        const theme = themes[state.environment] || themes.urban;
+        const threshold = computeLighting(theme, timeOfDay).windowThreshold;
+        const lit = e.windows.filter(win => win.chance > threshold).length;
+        const occupancy = e.windows.length ? lit / e.windows.length : 0;
+        const height = meters(e.height);
+        const floors = Math.max(1, Math.round(height / 4));
+        const floorArea = meters(e.width) * meters(e.width);
+        // 20–60 W/m² depending on how full the tower is, less with better tech
+        const drawMW = floorArea * floors * (20 + 40 * occupancy) * efficiency / 1e6;
+        const district = districtName(model, e.x + e.width / 2);
+        const vars = {
+          district,
+          index: formatNumber(ref.index + 1),
+          total: formatNumber(model.buildings.length),
+          height: formatNumber(height),
+          floors: formatNumber(floors),
+          occupancy: formatPercent(Math.round(occupancy * 100)),
+          draw: formatNumber(drawMW, MW_FORMAT)
+        };
+        return {
+          title: district,
+          subtitle: t('Tower {index} of {total}', vars),
+          rows: [
+            [t('Height'), t('{height} m · {floors} floors', vars)],
+            [t('Occupancy'), vars.occupancy],
+            [t('Energy draw'), t('{draw} MW', vars)]
+          ],
+          summary: t(e.antenna
+            ? '{district}, tower {index} of {total}: {height} metres, {occupancy} occupied, drawing {draw} megawatts, with an antenna.'
+            : '{district}, tower {index} of {total}: {height} metres, {occupancy} occupied, drawing {draw} megawatts.', vars)
+        };
+      }
+      case 'trees': {
+        const district = districtName(model, e.x);
+        const canopy = meters(e.size * 2);
+        const vars = { district, canopy: formatNumber(canopy) };
+        return {
+          title: t('Park grove'),
+          subtitle: district,
+          rows: [[t('Canopy'), t('{canopy} m', vars)]],
+          summary: t('Park grove in {district}, canopy {canopy} metres.', vars)
+        };
+      }
+      case 'windTurbines': {
+        const outputMW = 2 + state.tech / 25;
+        const vars = {
+          index: formatNumber(ref.index + 1),
+          hub: formatNumber(meters(e.baseY - e.y)),
+          rotor: formatNumber(meters(e.bladeLength * 2)),
+          output: formatNumber(outputMW, MW_FORMAT)
+        };
+        return {
+          title: t('Wind turbine {index}', vars),
+          subtitle: districtName(model, e.x),
+          rows: [
+            [t('Hub height'), t('{hub} m', vars)],
+            [t('Rotor'), t('{rotor} m', vars)],
+            [t('Output'), t('{output} MW', vars)]
+          ],
+          summary: t('Wind turbine {index}, hub at {hub} metres, generating {output} megawatts.', vars)
+        };
+      }
+      case 'hyperloopTubes': {
+        const line = String.fromCharCode(65 + ref.index);
+        const elevation = meters(model.groundY - e.y);
+        const capacity = Math.round(4 + state.tech / 10);
+        const vars = {
+          line,
+          elevation: formatNumber(elevation),
+          capacity: formatNumber(capacity),
+          draw: formatNumber(capacity * 1.5 * efficiency, MW_FORMAT)
+        };
+        return {
+          title: t('Hyperloop line {line}', vars),
+          subtitle: t('Crosses every district'),
+          rows: [
+            [t('Elevation'), t('{elevation} m', vars)],
+            [t('Capacity'), t('{capacity}k riders/h', vars)],
+            [t('Energy draw'), t('{draw} MW', vars)]
+          ],
+          summary: t('Hyperloop line {line}, elevated {elevation} metres, carrying {capacity} thousand riders an hour.', vars)
+        };
+      }
+      case 'teleportBeams': {
+        const drawMW = 40 * efficiency;
+        const district = districtName(model, e.x);
+        const vars = {
+          district,
+          index: formatNumber(ref.index + 1),
+          beam: formatNumber(meters(model.groundY)),
+          draw: formatNumber(drawMW, MW_FORMAT)
+        };
+        return {
+          title: t('Teleport gate {index}', vars),
+          subtitle: district,
+          rows: [[t('Beam height'), t('{beam} m', vars)], [t('Energy draw'), t('{draw} MW', vars)]],
+          summary: t('Teleport gate {index} in {district}, drawing {draw} megawatts.', vars)
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  function inspectorRowsHTML(info) {
+    return `
+      <dl class="city-info-rows">
+        ${info.rows.map(([label, value]) => `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`).join('')}
+      </dl>
+    `;
+  }
+
+  // Positions a highlight box (percentages, so it follows canvas resizes)
+  function placeHighlight(box, model, ref) {
+    const e = getEntity(model, ref);
+    if (!box) return;
+    box.hidden = !e;
+    if (!e) return;
+    const b = entityBounds(model, ref.kind, e);
+    box.style.left = (b.x / model.width * 100) + '%';
+    box.style.top = (b.y / model.height * 100) + '%';
+    box.style.width = (b.w / model.width * 100) + '%';
+    box.style.height = (b.h / model.height * 100) + '%';
+  }
+
+  function showCityTooltip(model, ref) {
+    if (!cityTooltip) return;
+    const info = getEntity(model, ref) && describeCityEntity(model, ref);
+    placeHighlight(cityHoverBox, model, info ? ref : null);
+    if (!info || (inspectorPinned && inspectorPinned.kind === ref.kind && inspectorPinned.index === ref.index)) {
+      cityTooltip.hidden = true;
+      return;
+    }
+    cityTooltip.innerHTML = `
+      <strong>${escapeHTML(info.title)}</strong>
+      <span class="city-info-sub">${escapeHTML(info.subtitle)}</span>
+      ${inspectorRowsHTML(info)}
+    `;
+    // Anchor above the entity, kept inside the preview
+    const b = entityBounds(model, ref.kind, getEntity(model, ref));
+    const centre = Math.min(85, Math.max(15, (b.x + b.w / 2) / model.width * 100));
+    const top = b.y / model.height * 100;
+    cityTooltip.style.left = centre + '%';
+    cityTooltip.style.top = top + '%';
+    cityTooltip.classList.toggle('below', top < 35);
+    cityTooltip.hidden = false;
+  }
+
+  function setInspectorHover(ref) {
+    const model = inspectedModel();
+    inspectorHover = ref && getEntity(model, ref) ? ref : null;
+    if (cityCanvas) cityCanvas.style.cursor = inspectorHover ? 'pointer' : '';
+    showCityTooltip(model, inspectorHover);
+  }
+
+  function setInspectorPinned(ref) {
+    const model = inspectedModel();
+    inspectorPinned = ref && getEntity(model, ref) ? ref : null;
+    renderCityInfoCard();
+    showCityTooltip(model, inspectorHover);
+    if (inspectorPinned) announceCityEntity(t('Pinned: {summary}', { summary: describeCityEntity(model, inspectorPinned).summary }));
+  }
+
+  function renderCityInfoCard() {
+    if (!cityInfoCard) return;
+    const model = inspectedModel();
+    placeHighlight(cityPinnedBox, model, inspectorPinned);
+    if (!inspectorPinned) {
+      cityInfoCard.hidden = true;
+      return;
+    }
+    const info = describeCityEntity(model, inspectorPinned);
+    cityInfoCard.innerHTML = `
+      <div class="city-info-header">
+        <div>
+          <strong>${escapeHTML(info.title)}</strong>
+          <span class="city-info-sub">${escapeHTML(info.subtitle)}</span>
+        </div>
+        <button class="city-info-close" type="button" aria-label="${escapeHTML(t('Unpin'))}">✕</button>
+      </div>
+      ${inspectorRowsHTML(info)}
+    `;
+    cityInfoCard.hidden = false;
+  }
+
+  function announceCityEntity(text) {
+    if (cityInspectorLive) cityInspectorLive.textContent = text;
+  }
+
+  // Called when a new scene model is displayed: entities may have moved,
+  // changed or disappeared, so re-resolve the references. A different
+  // config or seed is a different city, and indices no longer match up.
+  function refreshCityInspector() {
+    const model = inspectedModel();
+    const modelKey = staticSceneCache ? staticSceneCache.modelKey : '';
+    if (modelKey !== inspectedModelKey) {
+      inspectedModelKey = modelKey;
+      inspectorHover = null;
+      inspectorPinned = null;
+    }
+    if (inspectorHover && !getEntity(model, inspectorHover)) inspectorHover = null;
+    if (inspectorPinned && !getEntity(model, inspectorPinned)) inspectorPinned = null;
+    renderCityInfoCard();
+    showCityTooltip(model, inspectorHover);
+  }
+
+  function canvasToModel(e, model) {
+    const rect = cityCanvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+    return {
+      x: (e.clientX - rect.left) / rect.width * model.width,
+      y: (e.clientY - rect.top) / rect.height * model.height
+    };
+  }
+
+  function stepBuildingSelection(key) {
+    const model = inspectedModel();
+    if (!model || !model.buildings.length) return;
+    // Buildings are generated left to right (jitter can swap neighbours)
+    const order = model.buildings
+      .map((b, index) => ({ index, x: b.x + b.width / 2 }))
+      .sort((p, q) => p.x - q.x)
+      .map(p => p.index);
+    const current = inspectorHover && inspectorHover.kind === 'buildings' ? order.indexOf(inspectorHover.index) : -1;
+    let next;
+    if (key === 'Home') next = 0;
+    else if (key === 'End') next = order.length - 1;
+    else if (current === -1) next = key === 'ArrowLeft' || key === 'ArrowUp' ? order.length - 1 : 0;
+    else next = Math.min(order.length - 1, Math.max(0, current + (key === 'ArrowLeft' || key === 'ArrowUp' ? -1 : 1)));
+    const ref = { kind: 'buildings', index: order[next] };
+    setInspectorHover(ref);
+    announceCityEntity(describeCityEntity(model, ref).summary);
+  }
+
+  onLocaleChange(refreshCityInspector);
+
+  if (cityCanvas) {
+    cityCanvas.addEventListener('mousemove', (e) => {
+      if (cityViewMode !== 'skyline') return;
+      const model = inspectedModel();
+      const point = model && canvasToModel(e, model);
+      const ref = point ? hitTestCity(model, point.x, point.y) : null;
+      if (ref && inspectorHover && ref.kind === inspectorHover.kind && ref.index === inspectorHover.index) return;
+      setInspectorHover(ref);
+    });
+    cityCanvas.addEventListener('mouseleave', () => setInspectorHover(null));
+    cityCanvas.addEventListener('click', (e) => {
+      if (cityViewMode !== 'skyline') return;
+      const model = inspectedModel();
+      const point = model && canvasToModel(e, model);
+      setInspectorPinned(point ? hitTestCity(model, point.x, point.y) : null);
+    });
+    cityCanvas.addEventListener('keydown', (e) => {
+      if (cityViewMode !== 'skyline') return;
+      if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'].includes(e.key)) {
+        e.preventDefault();
+        stepBuildingSelection(e.key);
+      } else if ((e.key === 'Enter' || e.key === ' ') && inspectorHover) {
+        e.preventDefault();
+        setInspectorPinned(inspectorHover);
+      } else if (e.key === 'Escape' && (inspectorPinned || inspectorHover)) {
+        // Handled here: the document-level Escape would also close dialogs
+        e.stopPropagation();
+        setInspectorPinned(null);
+        setInspectorHover(null);
+        announceCityEntity(t('Selection cleared'));
+      }
+    });
+    cityCanvas.addEventListener('blur', () => {
+      if (inspectorHover) setInspectorHover(null);
+    });
+  }
+  if (cityInfoCard) {
+    cityInfoCard.addEventListener('click', (e) => {
+      if (e.target.closest('.city-info-close')) {
+        setInspectorPinned(null);
+        if (cityCanvas) cityCanvas.focus();
+      }
+    });
+  }
+
+  // ------------------------------------------
+  // Isometric District View
+  // ------------------------------------------
+  // Alternative to the skyline: the same model laid out on a district grid
+  // (city-scene.js). Drawn in full each frame, it's only ~80 tiles.
+  // Pan/zoom: drag, wheel, two-finger pinch, or arrows / + / − / 0 on the canvas.
+  const ISO_MIN_ZOOM = 0.5;
+  const ISO_MAX_ZOOM = 3;
+  const ISO_PAN_STEP = 30;
+  const CANVAS_LABELS = {
+    skyline: 'City preview. Use the arrow keys to step through buildings, Enter to pin details.',
+    isometric: 'Isometric district view. Drag or use the arrow keys to pan, scroll or + and − to zoom, 0 to reset.'
+  };
+  const viewToggle = document.getElementById('view-toggle');
+  // Pan in CSS pixels; zoom is relative to the whole grid fitting the canvas
+  const isoView = { zoom: 1, panX: 0, panY: 0 };
+  const isoPointers = new Map();
+  let districtCache = { key: '', model: null };
+
+  function getDistrictModel(state) {
+    const key = [state.environment, state.population, state.energy, state.greenery, state.transport, state.tech, state.zoning, renderSeed].join('|');
+    if (districtCache.key !== key) {
+      districtCache = { key, model: generateDistrictModel(generateCityModel(state, renderSeed), state) };
+    }
+    return districtCache.model;
+  }
+
+  function renderIsometricView(w, h, state, theme) {
+    const ratio = w / cityCanvas.offsetWidth;
+    drawDistrictModel(cityCtx, getDistrictModel(state), w, h,
+      { zoom: isoView.zoom, panX: isoView.panX * ratio, panY: isoView.panY * ratio },
+      theme, computeLighting(theme, timeOfDay));
+  }
+
+  onLocaleChange(() => {
+    if (cityCanvas) cityCanvas.setAttribute('aria-label', t(CANVAS_LABELS[cityViewMode]));
+  });
+
+  function setCityView(mode) {
+    if (mode === cityViewMode) return;
+    cityViewMode = mode;
+    if (viewToggle) {
+      viewToggle.querySelectorAll('[data-view]').forEach(btn => {
+        const active = btn.dataset.view === mode;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-checked', active);
+      });
+    }
+    if (cityCanvas) {
+      cityCanvas.classList.toggle('iso', mode === 'isometric');
+      cityCanvas.setAttribute('aria-label', t(CANVAS_LABELS[mode]));
+    }
+    setInspectorPinned(null);
+    setInspectorHover(null);
+    renderCityCanvas();
+  }
+
+  // Zooms by `factor` keeping the canvas point (px, py) (CSS px) in place
+  function zoomIsoView(factor, px, py) {
+    const zoom = Math.min(ISO_MAX_ZOOM, Math.max(ISO_MIN_ZOOM, isoView.zoom * factor));
+    const k = zoom / isoView.zoom;
+    // Grid anchor (see drawDistrictModel): horizontal centre, 60% down
+    const ax = cityCanvas.offsetWidth / 2;
+    const ay = cityCanvas.offsetHeight * 0.6;
+    isoView.panX = px - ax - (px - ax - isoView.panX) * k;
+    isoView.panY = py - ay - (py - ay - isoView.panY) * k;
+    isoView.zoom = zoom;
+    renderCityCanvas();
+  }
+
+  function panIsoView(dx, dy) {
+    isoView.panX += dx;
+    isoView.panY += dy;
+    renderCityCanvas();
+  }
+
+  function resetIsoView() {
+    Object.assign(isoView, { zoom: 1, panX: 0, panY: 0 });
+    renderCityCanvas();
+  }
+
+  function pointerPoint(e) {
+    const rect = cityCanvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  // Centre and spread of the active pointers (spread is 0 for one finger)
+  function pointerSpread() {
+    const points = Array.from(isoPointers.values());
+    const x = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const y = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const spread = points.length > 1 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : 0;
+    return { x, y, spread };
+  }
+
+  if (viewToggle) {
+    viewToggle.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-view]');
+      if (btn) setCityView(btn.dataset.view);
+    });
+  }
+
+  if (cityCanvas) {
+    cityCanvas.addEventListener('pointerdown', (e) => {
+      if (cityViewMode !== 'isometric') return;
+      isoPointers.set(e.pointerId, pointerPoint(e));
+      if (cityCanvas.setPointerCapture) cityCanvas.setPointerCapture(e.pointerId);
+      cityCanvas.classList.add('dragging');
+    });
+    cityCanvas.addEventListener('pointermove', (e) => {
+      if (cityViewMode !== 'isometric' || !isoPointers.has(e.pointerId)) return;
+      const before = pointerSpread();
+      isoPointers.set(e.pointerId, pointerPoint(e));
+      const after = pointerSpread();
+      isoView.panX += after.x - before.x;
+      isoView.panY += after.y - before.y;
+      if (before.spread && after.spread) {
+        zoomIsoView(after.spread / before.spread, after.x, after.y);
+      } else {
+        renderCityCanvas();
+      }
+    });
+    const endPointer = (e) => {
+      isoPointers.delete(e.pointerId);
+      if (!isoPointers.size) cityCanvas.classList.remove('dragging');
+    };
+    cityCanvas.addEventListener('pointerup', endPointer);
+    cityCanvas.addEventListener('pointercancel', endPointer);
+
+    cityCanvas.addEventListener('wheel', (e) => {
+      if (cityViewMode !== 'isometric') return;
+      e.preventDefault();
+      const point = pointerPoint(e);
+      zoomIsoView(Math.exp(-e.deltaY * 0.0015), point.x, point.y);
+    }, { passive: false });
+
+    cityCanvas.addEventListener('keydown', (e) => {
+      if (cityViewMode !== 'isometric') return;
+      const pan = {
+        ArrowLeft: [ISO_PAN_STEP, 0],
+        ArrowRight: [-ISO_PAN_STEP, 0],
+        ArrowUp: [0, ISO_PAN_STEP],
+        ArrowDown: [0, -ISO_PAN_STEP]
+      }[e.key];
+      const centreX = cityCanvas.offsetWidth / 2;
+      const centreY = cityCanvas.offsetHeight / 2;
+      if (pan) panIsoView(pan[0], pan[1]);
+      else if (e.key === '+' || e.key === '=') zoomIsoView(1.25, centreX, centreY);
+      else if (e.key === '-' || e.key === '_') zoomIsoView(0.8, centreX, centreY);
+      else if (e.key === '0') resetIsoView();
+      else return;
+      e.preventDefault();
+    });
+  }
+
+  // `now` drives every animated element, so recordings can step it at a fixed rate
+  function renderCityCanvas(now = Date.now()) {
+    if (!cityCtx) return;
+
+    const w = cityCanvas.width = cityCanvas.offsetWidth * (window.devicePixelRatio || 1);
+    const h = cityCanvas.height = cityCanvas.offsetHeight * (window.devicePixelRatio || 1);
+    if (!w || !h) return; // Hidden or not laid out yet
+    const scale = w / 600;
+    const state = displayedState();
+    const theme = themes[state.environment] || themes.urban;
+
+    if (cityViewMode === 'isometric') {
+      renderIsometricView(w, h, state, theme);
+      drawWeather(cityCtx, w, h, scale, now);
+      drawStressEvent(cityCtx, w, h, scale, now);
+      return;
+    }
+
+    // Rebuild static cache if config changed
+    const currentKey = getConfigKey();
+    if (currentKey !== lastConfigKey) {
+      lastConfigKey = currentKey;
+      requestStaticScene({
+        key: currentKey, modelKey: getSceneModelKey(), w, h, theme,
+        model: modelForCanvas(state, renderSeed, w, h),
+        lighting: computeLighting(theme, timeOfDay)
+      });
+    }
+
+    // Draw cached static scene; a worker result may still be on its way,
+    // so the previous image is stretched to the current size meanwhile
+    cityCtx.clearRect(0, 0, w, h);
+    const scene = staticSceneCache;
+    if (scene) {
+      cityCtx.drawImage(scene.image, 0, 0, w, h);
+    }
+
+    // --- Animated overlay elements (only these update per frame) ---
+
+    if (scene) {
+      const { model } = scene;
+      drawMotionLayer(cityCtx, model, scale, theme, now);
+
+      // Animated: Subtle antenna blink (slow pulse) at the tips in the model
+      const blinkAlpha = 0.3 + Math.sin(now / 1500) * 0.3;
+      const sy = h / model.height;
+      cityCtx.fillStyle = theme.accent + Math.floor(blinkAlpha * 255).toString(16).padStart(2, '0');
+      model.buildings.forEach(building => {
+        if (!building.antenna) return;
+        cityCtx.beginPath();
+        cityCtx.arc(building.antenna.x * scale, building.antenna.y * sy, 1.5 * scale, 0, Math.PI * 2);
+        cityCtx.fill();
+      });
+    }
+
+    drawWeather(cityCtx, w, h, scale, now);
+    drawStressEvent(cityCtx, w, h, scale, now);
+  }
+
+  // Initial render
+  if (cityCanvas) {
+    setTimeout(() => {
+      renderCityCanvas();
+    }, 100);
+    window.addEventListener('resize', debounce(() => {
+      lastConfigKey = ''; // Force cache invalidation on resize
+      renderCityCanvas();
+    }, 200));
+  }
+
+  // Animate city canvas — only runs when configurator is visible
+  // Uses a slower update rate (~20fps on high effects) since only subtle elements animate
+  if (cityCanvas && !prefersReducedMotion) {
+    let lastCityFrame = 0;
+
+    const cityLoop = createFrameLoop((timestamp) => {
+      if (timestamp - lastCityFrame < effectsProfile().cityFrameInterval) return;
+      if (dayCyclePlaying && lastCityFrame) {
+        // Clamp so a long pause (tab hidden, scrolled away) doesn't jump hours
+        const elapsed = Math.min(200, timestamp - lastCityFrame) / 1000;
+        setTimeOfDay(timeOfDay + elapsed * HOURS_PER_SECOND);
+        throttledCityDescription();
+      }
+      lastCityFrame = timestamp;
+      renderCityCanvas();
+    });
+
+    const configSection = document.getElementById('configurator');
+    if (configSection) {
+      const configObserver = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            cityLoop.start();
+          } else {
+            cityLoop.stop();
+          }
+        });
+      }, { threshold: 0.1 });
+      configObserver.observe(configSection);
+    }
+  }
+
+  // ------------------------------------------
+  // City Description
+  // ------------------------------------------
+  // Text alternative for city-canvas, built from the displayed state and its
+  // scene model. The summary sentence is the canvas's accessible description;
+  // the panel under the preview adds the details and the skyline sonification.
+  const DESCRIPTION_DELAY = 400; // Let slider drags settle before re-describing
+  const ENVIRONMENT_SKYLINES = {
+    urban: 'An urban skyline of {towers}',
+    coastal: 'A coastal skyline of {towers}',
+    mountain: 'A mountain skyline of {towers}',
+    desert: 'A desert skyline of {towers}',
+    arctic: 'An arctic skyline of {towers}'
+  };
+  const WEATHER_PHRASES = { rain: 'in the rain', snow: 'in falling snow', sandstorm: 'in a sandstorm', fog: 'in fog' };
+  const ZONE_PHRASES = { r: '{count} residential', c: '{count} commercial', g: '{count} green', e: '{count} energy', t: '{count} transit' };
+  const NUMBER_WORDS = ['no', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+  const cityDescriptionToggle = document.getElementById('city-description-toggle');
+  const cityDescriptionPanel = document.getElementById('city-description');
+  const cityDescriptionSummary = document.getElementById('city-description-summary');
+  const cityDescriptionDetails = document.getElementById('city-description-details');
+
+  // Small counts are spelled out in English; other languages use numerals
+  function countPhrase(count, one, other) {
+    const number = locale === DEFAULT_LOCALE && count < NUMBER_WORDS.length ? NUMBER_WORDS[count] : formatNumber(count);
+    return tPlural(count, one, other, { count: number });
+  }
+
+  function dayPeriod(hour) {
+    if (hour < 5 || hour >= 21) return t('at night');
+    if (hour < 8) return t('at dawn');
+    if (hour < 18) return t('by day');
+    return t('at dusk');
+  }
+
+  // { summary, rows } for the city as currently displayed
+  function describeCity() {
+    const state = displayedState();
+    const model = generateCityModel(state, renderSeed);
+    const meters = (units) => formatNumber(Math.round(units * METERS_PER_UNIT));
+    const tallest = model.buildings.reduce((best, b) => (!best || b.height > best.height ? b : best), null);
+    const antennas = model.buildings.filter(b => b.antenna).length;
+    const weatherType = weatherEnabled ? WEATHER_BY_ENVIRONMENT[state.environment] : null;
+    const towers = countPhrase(model.buildings.length, '{count} tower', '{count} towers');
+
+    let skyline = t(ENVIRONMENT_SKYLINES[state.environment] || ENVIRONMENT_SKYLINES.urban, { towers });
+    if (tallest) {
+      skyline = t(tallest.antenna ? '{skyline}, the tallest {height} metres with an antenna' : '{skyline}, the tallest {height} metres',
+        { skyline, height: meters(tallest.height) });
+    }
+
+    const energy = {
+      wind: () => countPhrase(model.windTurbines.length, '{count} wind turbine', '{count} wind turbines'),
+      solar: () => countPhrase(model.solarPanels.length, '{count} rooftop solar array', '{count} rooftop solar arrays'),
+      fusion: () => t('a fusion reactor'),
+      tidal: () => t('tidal generators offshore')
+    }[state.energy]();
+    const transport = {
+      aerial: () => t(model.vehicles.length ? 'aerial traffic' : 'quiet skies'),
+      hyperloop: () => countPhrase(model.hyperloopTubes.length, '{count} elevated hyperloop line', '{count} elevated hyperloop lines'),
+      teleport: () => countPhrase(model.teleportBeams.length, '{count} teleport gate', '{count} teleport gates')
+    }[state.transport]();
+    const greenery = model.trees.length ? countPhrase(model.trees.length, '{count} tree cluster', '{count} tree clusters') : t('no parks');
+
+    const weather = weatherType ? t(WEATHER_PHRASES[weatherType]) : '';
+    const setting = dayPeriod(timeOfDay) + (weather ? ' ' + weather : '');
+    let summary = t('{skyline}, {greenery}, {energy}, {transport}, {setting}.', { skyline, greenery, energy, transport, setting });
+    if (simulatedState) {
+      // Lower-casing the sentence start only suits English
+      const rest = locale === DEFAULT_LOCALE ? summary.charAt(0).toLowerCase() + summary.slice(1) : summary;
+      summary = t('In {year}: {summary}', { year: simYear, summary: rest });
+    }
+
+    const painted = state.zoning ? [...state.zoning].filter(code => code !== '.') : [];
+    const scores = computeScores(simulatedState || configState);
+    const rows = [
+      [t('Setting'), `${configValueLabel('environment', state.environment)}, ${formatTimeOfDay(timeOfDay)}` +
+        (weather ? `, ${weather}` : '')],
+      [t('Skyline'), towers +
+        (tallest ? t(', {min}–{max} m tall', { min: meters(Math.min(...model.buildings.map(b => b.height))), max: meters(tallest.height) }) : '') +
+        (antennas ? ', ' + countPhrase(antennas, '{count} antenna', '{count} antennas') : '')],
+      [t('Greenery'), t('{greenery}, {cover} green cover', { greenery, cover: formatPercent(state.greenery) })],
+      [t('Energy'), energy],
+      [t('Transport'), transport],
+      [t('Districts'), painted.length
+        ? Object.keys(ZONES).map(code => {
+          const count = painted.filter(c => c === code).length;
+          return count ? t(ZONE_PHRASES[code], { count: formatNumber(count) }) : '';
+        }).filter(Boolean).join(', ')
+        : t('Not zoned')],
+      [t('Scores'), t('Livability {livability}, sustainability {sustainability}, innovation {innovation}, quality of life {quality}, resilience {resilience}', {
+        livability: formatNumber(scores.livability),
+        sustainability: formatPercent(scores.sustainability),
+        innovation: formatPercent(scores.innovation),
+        quality: formatPercent(scores.quality),
+        resilience: formatPercent(scores.resilience)
+      })]
+    ];
+    return { summary, rows };
+  }
+
+  function refreshCityDescription() {
+    if (!cityDescriptionSummary) return;
+    const { summary, rows } = describeCity();
+    // Only touch the live region when the wording actually changes
+    if (cityDescriptionSummary.textContent !== summary) cityDescriptionSummary.textContent = summary;
+    if (cityDescriptionDetails) {
+      cityDescriptionDetails.innerHTML = rows
+        .map(([label, value]) => `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`).join('');
+    }
+  }
+
+  const scheduleCityDescription = debounce(refreshCityDescription, DESCRIPTION_DELAY);
+  // Day-cycle playback changes the clock every frame, which would keep
+  // resetting the debounce; the summary still only changes with the period
+  const throttledCityDescription = throttle(refreshCityDescription, DESCRIPTION_DELAY);
+
+  if (cityDescriptionToggle && cityDescriptionPanel) {
+    cityDescriptionToggle.addEventListener('click', () => {
+      const open = cityDescriptionPanel.hidden;
+      cityDescriptionPanel.hidden = !open;
+      cityDescriptionToggle.setAttribute('aria-expanded', open);
+      if (open) refreshCityDescription();
+    });
+  }
+
+  // ------------------------------------------
+  // Blueprint Library (localStorage)
+  // ------------------------------------------
+  const BLUEPRINT_STORAGE_KEY = 'futurecities:blueprints';
+  const THUMB_WIDTH = 180;
+  const THUMB_HEIGHT = 120;
+
+  const blueprintStore = {
+    list() {
+      try {
+        const items = JSON.parse(localStorage.getItem(BLUEPRINT_STORAGE_KEY) || '[]');
+        return Array.isArray(items) ? items : [];
+      } catch (e) {
+        return [];
+      }
+    },
+    // Returns false when storage is unavailable or full
+    write(items) {
+      try {
+        localStorage.setItem(BLUEPRINT_STORAGE_KEY, JSON.stringify(items));
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+    get(id) {
+      return this.list().find(bp => bp.id === id) || null;
+    },
+    add(blueprint) {
+      return this.write([blueprint, ...this.list()]);
+    },
+    update(id, changes) {
+      return this.write(this.list().map(bp =>
+        bp.id === id ? Object.assign({}, bp, changes, { updatedAt: Date.now() }) : bp
+      ));
+    },
+    remove(id) {
+      return this.write(this.list().filter(bp => bp.id !== id));
+    }
+  };
+
+  function createBlueprintId() {
+    return 'bp-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+  }
+
+  // Small JPEG snapshot of the live city canvas for library cards
+  function captureThumbnail() {
+    if (!cityCanvas || !cityCanvas.width || !cityCanvas.height) return '';
+    const thumb = document.createElement('canvas');
+    thumb.width = THUMB_WIDTH;
+    thumb.height = THUMB_HEIGHT;
+    thumb.getContext('2d').drawImage(cityCanvas, 0, 0, THUMB_WIDTH, THUMB_HEIGHT);
+    try {
+      return thumb.toDataURL('image/jpeg', 0.7);
+    } catch (e) {
+      return '';
+    }
+  }
+
+  const saveCityBtn = document.getElementById('save-city-btn');
+  const cityNameInput = document.getElementById('city-name-input');
+  const libraryToggle = document.getElementById('library-toggle-btn');
+  const libraryPanel = document.getElementById('blueprint-library');
+  const libraryList = document.getElementById('library-list');
+
+  function renderLibrary() {
+    const blueprints = blueprintStore.list();
+    refreshBlueprintCompareOptions();
+
+    if (libraryToggle) {
+      libraryToggle.querySelector('.library-count').textContent = formatNumber(blueprints.length);
+    }
+    if (!libraryList) return;
+
+    if (!blueprints.length) {
+      const button = `<strong>${escapeHTML(t('Save Blueprint'))}</strong>`;
+      libraryList.innerHTML = '<li class="library-empty">' +
+        escapeHTML(t('No saved blueprints yet. Name your city and hit {button}.')).replace('{button}', button) + '</li>';
+      return;
+    }
+
+    libraryList.innerHTML = blueprints.map(bp => {
+      const date = new Date(bp.updatedAt || bp.createdAt).toLocaleString(locale, {
+        dateStyle: 'medium', timeStyle: 'short'
+      });
+      return `
+        <li class="library-item" data-id="${escapeHTML(bp.id)}">
+          <div class="library-thumb">
+            ${isThumbnailURL(bp.thumbnail) ? `<img src="${escapeHTML(bp.thumbnail)}" alt="" loading="lazy">` : ''}
+          </div>
+          <div class="library-info">
+            <span class="library-name">${escapeHTML(bp.name)}</span>
+            <span class="library-meta">${escapeHTML(t('Livability {score}', { score: bp.scores ? formatNumber(bp.scores.livability) : '—' }))} · ${escapeHTML(date)}</span>
+          </div>
+          <div class="library-actions">
+            <button class="library-action" data-action="load">${escapeHTML(t('Load'))}</button>
+            <button class="library-action" data-action="rename">${escapeHTML(t('Rename'))}</button>
+            <button class="library-action" data-action="duplicate">${escapeHTML(t('Duplicate'))}</button>
+            <button class="library-action danger" data-action="delete">${escapeHTML(t('Delete'))}</button>
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  // Stored entries can be corrupted or hand-edited: thumbnails must be inline
+  // images, and config fields that fail the schema fall back to defaults
+  function isThumbnailURL(value) {
+    return typeof value === 'string' && /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/=]+$/.test(value);
+  }
+
+  function storedBlueprintState(bp) {
+    const raw = bp.config && typeof bp.config === 'object' ? bp.config : {};
+    const seed = Number.isInteger(bp.renderSeed) && bp.renderSeed >= 1 && bp.renderSeed <= MAX_RENDER_SEED
+      ? bp.renderSeed
+      : DEFAULT_RENDER_SEED;
+    return { config: coerceConfig(raw).config, seed };
+  }
+
+  function loadBlueprint(bp) {
+    const { config, seed } = storedBlueprintState(bp);
+    Object.assign(configState, config);
+    renderSeed = seed;
+    cityNameInput.value = bp.name;
+    syncConfigControls();
+    recordHistory(() => t('Loaded "{name}"', { name: bp.name }));
+    updatePreview();
+    document.getElementById('configurator').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    showToast(t('Loaded "{name}"', { name: bp.name }));
+  }
+
+  function startRename(item, bp) {
+    const nameEl = item.querySelector('.library-name');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'city-name-input library-rename';
+    input.value = bp.name;
+    input.maxLength = 30;
+    input.setAttribute('aria-label', t('New blueprint name'));
+    nameEl.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      const name = input.value.trim();
+      if (commit && name && name !== bp.name) {
+        blueprintStore.update(bp.id, { name });
+      }
+      renderLibrary();
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  if (saveCityBtn) {
+    saveCityBtn.addEventListener('click', () => {
+      const name = cityNameInput.value.trim() || t('Unnamed City');
+      const scores = computeScores();
+      renderCityCanvas(); // Ensure the thumbnail reflects the current config
+      const now = Date.now();
+      const saved = blueprintStore.add({
+        id: createBlueprintId(),
+        name,
+        config: Object.assign({}, configState),
+        scores,
+        renderSeed,
+        createdAt: now,
+        updatedAt: now,
+        thumbnail: captureThumbnail()
+      });
+      if (saved) {
+        showToast(t('"{name}" blueprint saved! Livability: {score}', { name, score: formatNumber(scores.livability) }));
+        renderLibrary();
+      } else {
+        showToast(t('Could not save blueprint — browser storage is full or disabled'));
+      }
+      saveCityBtn.style.transform = 'scale(0.95)';
+      setTimeout(() => { saveCityBtn.style.transform = ''; }, 150);
+    });
+  }
+
+  if (libraryToggle && libraryPanel) {
+    libraryToggle.addEventListener('click', () => {
+      const isHidden = libraryPanel.hidden;
+      libraryPanel.hidden = !isHidden;
+      libraryToggle.setAttribute('aria-expanded', isHidden);
+      if (isHidden) {
+        renderLibrary();
+        libraryPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      }
+    });
+  }
+
+  if (libraryList) {
+    libraryList.addEventListener('click', (e) => {
+      const btn = e.target.closest('.library-action');
+      if (!btn) return;
+      const item = btn.closest('.library-item');
+      const bp = blueprintStore.get(item.dataset.id);
+      if (!bp) return;
+
+      switch (btn.dataset.action) {
+        case 'load':
+          loadBlueprint(bp);
+          break;
+        case 'rename':
+          startRename(item, bp);
+          break;
+        case 'duplicate': {
+          const now = Date.now();
+          const copy = Object.assign({}, bp, {
+            id: createBlueprintId(),
+            name: t('{name} (copy)', { name: bp.name }).slice(0, 30),
+            createdAt: now,
+            updatedAt: now
+          });
+          if (blueprintStore.add(copy)) {
+            renderLibrary();
+            showToast(t('Duplicated "{name}"', { name: bp.name }));
+          } else {
+            showToast(t('Could not duplicate — browser storage is full'));
+          }
+          break;
+        }
+        case 'delete':
+          if (window.confirm(t('Delete "{name}"? This cannot be undone.', { name: bp.name }))) {
+            blueprintStore.remove(bp.id);
+            renderLibrary();
+            showToast(t('Deleted "{name}"', { name: bp.name }));
+          }
+          break;
+      }
+    });
+  }
+
+  renderLibrary();
+  onLocaleChange(renderLibrary);
+
+  // ------------------------------------------
+  // Blueprint Compare
+  // ------------------------------------------
+  const CURRENT_BLUEPRINT = 'current';
+  const bpCompareToggle = document.getElementById('bp-compare-toggle');
+  const bpCompareA = document.getElementById('bp-compare-a');
+  const bpCompareB = document.getElementById('bp-compare-b');
+  const bpCompareGrid = document.getElementById('bp-compare-grid');
+  const bpCompareSummary = document.getElementById('bp-compare-summary');
+  const BP_COMPARE_STATS = SCORE_KEYS.concat('livability');
+  const BP_COMPARE_STAT_LABELS = {
+    sustainability: 'Sustainability', innovation: 'Innovation',
+    quality: 'Quality of Life', resilience: 'Resilience', livability: 'Livability'
+  };
+  let compareSides = [];
+  let compareSelection = ''; // "A|B" values the grid's cards were built for
+
+  function resolveCompareSide(value) {
+    if (value === CURRENT_BLUEPRINT) {
+      return {
+        name: cityNameInput.value.trim() || t('Current configuration'),
+        config: Object.assign({}, configState),
+        seed: renderSeed
+      };
+    }
+    const bp = blueprintStore.get(value);
+    if (!bp) return null;
+    return Object.assign({ name: bp.name }, storedBlueprintState(bp));
+  }
+
+  function populateBlueprintCompareOptions() {
+    const options = `<option value="${CURRENT_BLUEPRINT}">${escapeHTML(t('Current configuration'))}</option>` +
+      blueprintStore.list().map(bp => `<option value="${escapeHTML(bp.id)}">${escapeHTML(bp.name)}</option>`).join('');
+    [bpCompareA, bpCompareB].forEach((select, i) => {
+      const previous = select.value;
+      select.innerHTML = options;
+      // Keep the selection if it still exists, otherwise default A to the
+      // current config and B to the newest saved blueprint
+      if (select.querySelector(`option[value="${previous}"]`)) {
+        select.value = previous;
+      } else if (i === 1 && select.options.length > 1) {
+        select.selectedIndex = 1;
+      }
+    });
+  }
+
+  function formatDelta(delta) {
+    if (delta === 0) return '<span class="bp-delta">±0</span>';
+    const cls = delta > 0 ? 'up' : 'down';
+    return `<span class="bp-delta ${cls}">${delta > 0 ? '+' : '−'}${formatNumber(Math.abs(delta))}</span>`;
+  }
+
+  // Builds the cards for a new pair of selections; values are filled in by
+  // updateBlueprintCompareValues so live edits don't replace the markup
+  function buildBlueprintCompareCards() {
+    const cards = [0, 1].map(i => `
+      <div class="compare-card bp-compare-card">
+        <canvas class="bp-compare-canvas" data-side="${i}" role="img"></canvas>
+        <h4 class="bp-compare-name"></h4>
+        <div class="bp-compare-stats">
+          ${BP_COMPARE_STATS.map(key => `
+            <div class="bp-compare-stat" data-stat="${key}">
+              <div class="stat-bar"><div class="stat-fill"></div></div>
+              <span class="stat-name"></span>
+              <span class="stat-val"></span>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `).join('');
+
+    bpCompareGrid.innerHTML = cards + `
+      <div class="bp-compare-diff">
+        <h4></h4>
+        <ul></ul>
+      </div>
+    `;
+  }
+
+  function updateBlueprintCompareValues(sides) {
+    const scores = sides.map(side => computeScores(side.config));
+    bpCompareGrid.querySelectorAll('.bp-compare-card').forEach((card, i) => {
+      card.querySelector('.bp-compare-canvas').setAttribute('aria-label', t('City preview for {name}', { name: sides[i].name }));
+      card.querySelector('.bp-compare-name').textContent = sides[i].name;
+      BP_COMPARE_STATS.forEach(key => {
+        const stat = card.querySelector(`.bp-compare-stat[data-stat="${key}"]`);
+        stat.querySelector('.stat-fill').style.setProperty('--fill', `${scores[i][key]}%`);
+        stat.querySelector('.stat-name').textContent = t(BP_COMPARE_STAT_LABELS[key]);
+        stat.querySelector('.stat-val').innerHTML = formatPercent(scores[i][key]) + (i === 1 ? formatDelta(scores[1][key] - scores[0][key]) : '');
+      });
+    });
+
+    const diffs = Object.keys(CONFIG_SCHEMA).filter(key => sides[0].config[key] !== sides[1].config[key]);
+    if (sides[0].seed !== sides[1].seed) diffs.push('seed');
+    const diffList = diffs.length
+      ? diffs.map(key => key === 'seed'
+        ? `<li><span class="bp-diff-key">${escapeHTML(t('Render seed'))}</span><span>${sides[0].seed}</span><span class="bp-diff-arrow">→</span><span>${sides[1].seed}</span></li>`
+        : `<li><span class="bp-diff-key">${escapeHTML(t(CONFIG_LABELS[key]))}</span><span>${escapeHTML(configValueLabel(key, sides[0].config[key]))}</span>` +
+          `<span class="bp-diff-arrow">→</span><span>${escapeHTML(configValueLabel(key, sides[1].config[key]))}</span></li>`
+      ).join('')
+      : `<li class="bp-diff-none">${escapeHTML(t('Both blueprints use identical inputs.'))}</li>`;
+    const diffPanel = bpCompareGrid.querySelector('.bp-compare-diff');
+    diffPanel.querySelector('h4').textContent = t('Input differences');
+    diffPanel.querySelector('ul').innerHTML = diffList;
+
+    // The grid itself is silent; screen readers get this one line instead
+    const summary = t('{a} scores {scoreA} livability, {b} scores {scoreB}', {
+      a: sides[0].name, scoreA: formatPercent(scores[0].livability),
+      b: sides[1].name, scoreB: formatPercent(scores[1].livability)
+    });
+    if (bpCompareSummary && bpCompareSummary.textContent !== summary) bpCompareSummary.textContent = summary;
+  }
+
+  function renderBlueprintCompare() {
+    if (!bpCompareGrid) return;
+    const sides = [resolveCompareSide(bpCompareA.value), resolveCompareSide(bpCompareB.value)];
+    if (!sides[0] || !sides[1]) {
+      compareSides = [];
+      compareSelection = '';
+      bpCompareGrid.innerHTML = `<p class="bp-compare-empty">${escapeHTML(t('Select two blueprints above to compare.'))}</p>`;
+      if (bpCompareSummary) bpCompareSummary.textContent = '';
+      return;
+    }
+
+    const selection = bpCompareA.value + '|' + bpCompareB.value;
+    if (selection !== compareSelection) {
+      compareSelection = selection;
+      buildBlueprintCompareCards();
+      compareSides = sides.map((side, i) => ({
+        side,
+        canvas: bpCompareGrid.querySelector(`.bp-compare-canvas[data-side="${i}"]`),
+        model: null,
+        cache: null,
+        cacheKey: ''
+      }));
+    } else {
+      compareSides.forEach((entry, i) => { entry.side = sides[i]; });
+    }
+    updateBlueprintCompareValues(sides);
+    drawBlueprintCompare(prefersReducedMotion ? POSTER_TIME : Date.now());
+  }
+
+  function drawBlueprintCompare(now) {
+    compareSides.forEach(entry => {
+      const { canvas, side } = entry;
+      const dpr = window.devicePixelRatio || 1;
+      const w = Math.round(canvas.offsetWidth * dpr);
+      const h = Math.round(canvas.offsetHeight * dpr);
+      if (!w || !h) return;
+      // Resizing clears the canvas, so only do it when the layout changed
+      if (canvas.width !== w || canvas.height !== h) {
+        canvas.width = w;
+        canvas.height = h;
+      }
+      const scale = w / 600;
+      const state = applyZoning(side.config);
+      const theme = themes[state.environment] || themes.urban;
+      // The static scene is rebuilt only when the size or that side's blueprint changes
+      const key = [w, h, side.seed].concat(Object.keys(CONFIG_SCHEMA).map(k => side.config[k])).join('|');
+      if (entry.cacheKey !== key) {
+        entry.model = modelForCanvas(state, side.seed, w, h);
+        entry.cache = renderStaticScene(entry.model, w, h, theme);
+        entry.cacheKey = key;
+      }
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, w, h);
+      ctx.drawImage(entry.cache, 0, 0);
+      drawMotionLayer(ctx, entry.model, scale, theme, now);
+    });
+  }
+
+  let lastCompareFrame = 0;
+  const compareLoop = createFrameLoop((timestamp) => {
+    if (timestamp - lastCompareFrame < effectsProfile().cityFrameInterval) return;
+    lastCompareFrame = timestamp;
+    drawBlueprintCompare(Date.now());
+  });
+
+  // Called from renderLibrary when blueprints are added, renamed or removed
+  function refreshBlueprintCompareOptions() {
+    const panel = document.getElementById('bp-compare-panel');
+    if (!panel || panel.hidden) return;
+    populateBlueprintCompareOptions();
+    renderBlueprintCompare();
+  }
+
+  const BP_COMPARE_REFRESH_DELAY = 250;
+  const scheduleBlueprintCompare = debounce(renderBlueprintCompare, BP_COMPARE_REFRESH_DELAY);
+
+  // Called from updatePreview so a "Current configuration" side stays live;
+  // waits for slider drags to settle
+  function refreshBlueprintCompare() {
+    const panel = document.getElementById('bp-compare-panel');
+    if (!panel || panel.hidden) return;
+    if (bpCompareA.value === CURRENT_BLUEPRINT || bpCompareB.value === CURRENT_BLUEPRINT) {
+      scheduleBlueprintCompare();
+    }
+  }
+
+  function updateBlueprintCompareToggle() {
+    const panel = document.getElementById('bp-compare-panel');
+    if (!bpCompareToggle || !panel) return;
+    bpCompareToggle.querySelector('span').textContent = panel.hidden ? t('Compare Blueprints') : t('Hide Compare');
+  }
+
+  if (bpCompareToggle && bpCompareA && bpCompareB) {
+    const panel = document.getElementById('bp-compare-panel');
+    bpCompareToggle.addEventListener('click', () => {
+      const isHidden = panel.hidden;
+      panel.hidden = !isHidden;
+      bpCompareToggle.setAttribute('aria-expanded', isHidden);
+      updateBlueprintCompareToggle();
+      if (isHidden) {
+        populateBlueprintCompareOptions();
+        renderBlueprintCompare();
+        if (!prefersReducedMotion) compareLoop.start();
+      } else {
+        compareLoop.stop();
+      }
+    });
+    bpCompareA.addEventListener('change', renderBlueprintCompare);
+    bpCompareB.addEventListener('change', renderBlueprintCompare);
+    onLocaleChange(() => {
+      updateBlueprintCompareToggle();
+      refreshBlueprintCompareOptions();
+    });
+  }
+
+  // ------------------------------------------
+  // Growth Simulation
+  // ------------------------------------------
+  const SIM_START_YEAR = 2026;
+  const SIM_END_YEAR = 2076;
+  const SIM_EVENT_CHANCE = 0.15;
+  const SIM_STEP_MS = 400;
+  const SIM_EVENTS = [
+    { id: 'heatwave', icon: '🔥', label: 'Heatwave', severity: 14 },
+    { id: 'flood', icon: '🌊', label: 'Flood', severity: 18 },
+    { id: 'grid-failure', icon: '⚡', label: 'Grid failure', severity: 12 },
+    { id: 'pandemic', icon: '🦠', label: 'Pandemic', severity: 16 },
+    { id: 'cyberattack', icon: '💻', label: 'Cyberattack', severity: 10 }
+  ];
+  const SIM_STAT_COLORS = {
+    sustainability: '#34d399',
+    innovation: '#00f0ff',
+    quality: '#a855f7',
+    resilience: '#fb923c'
+  };
+
+  // Same blueprint + render seed always replays the same fifty years
+  function simulationSeed(state, seed) {
+    const bytes = new TextEncoder().encode(Object.keys(CONFIG_SCHEMA).map(key => state[key]).join('|'));
+    return 1 + ((seed * 65537 + shareChecksum(bytes)) % MAX_RENDER_SEED);
+  }
+
+  function settleSimState(state) {
+    const settled = Object.assign({}, state);
+    NUMERIC_INPUTS.forEach(key => {
+      const { min, max } = CONFIG_SCHEMA[key];
+      settled[key] = Math.min(max, Math.max(min, Math.round(state[key])));
+    });
+    return settled;
+  }
+
+  // Advances a blueprint one year per tick. Returns one { year, state, scores, event }
+  // per year; inputs are rounded and clamped each year like slider values.
+  function simulateGrowth(initial, seed) {
+    const rng = createSeededRNG(simulationSeed(initial, seed));
+    const state = settleSimState(initial);
+    const years = [{ year: SIM_START_YEAR, state: Object.assign({}, state), scores: computeScores(state), event: null }];
+
+    for (let year = SIM_START_YEAR + 1; year <= SIM_END_YEAR; year++) {
+      const scores = years[years.length - 1].scores;
+
+      // Livable cities attract people; struggling ones slowly empty out
+      state.population += (scores.livability - 55) * 0.05 + 0.3;
+
+      // Density eats parkland unless tech is high enough to build upward
+      const density = Math.max(0, state.population - 50) / 50;
+      const techShield = Math.min(1, Math.max(0, (state.tech - 50) / 40));
+      state.greenery -= density * 1.5 * (1 - techShield);
+
+      state.tech += scores.innovation / 100 * 0.6;
+
+      // Always draw both numbers so event timing doesn't shift with the inputs
+      const roll = rng();
+      const pick = rng();
+      let event = null;
+      if (roll < SIM_EVENT_CHANCE) {
+        const def = SIM_EVENTS[Math.floor(pick * SIM_EVENTS.length)];
+        const damage = def.severity * (1 - scores.resilience / 100);
+        state.population -= damage * 0.5;
+        state.greenery -= damage * 0.3;
+        event = {
+          id: def.id,
+          icon: def.icon,
+          label: def.label,
+          damage: Math.round(damage * 10) / 10,
+          outcome: damage < 5 ? 'withstood' : 'setback'
+        };
+      }
+
+      const snapshot = settleSimState(state);
+      years.push({ year, state: snapshot, scores: computeScores(snapshot), event });
+    }
+    return years;
+  }
+
+  const simToggle = document.getElementById('simulate-toggle-btn');
+  const simPanel = document.getElementById('growth-sim');
+  const simYearSlider = document.getElementById('growth-year');
+  const simYearLabel = document.getElementById('growth-year-label');
+  const simPlayBtn = document.getElementById('growth-play-btn');
+  const simChart = document.getElementById('growth-chart');
+  const simReadout = document.getElementById('growth-readout');
+  const simEventList = document.getElementById('growth-events');
+  let simTimeline = [];
+  let simYear = SIM_START_YEAR;
+  let lastSimStep = 0;
+
+  const simPlayback = createFrameLoop((timestamp) => {
+    if (!lastSimStep) lastSimStep = timestamp;
+    if (timestamp - lastSimStep < SIM_STEP_MS) return;
+    lastSimStep = timestamp;
+    showSimYear(simYear + 1);
+    if (simYear >= SIM_END_YEAR) stopSimPlayback();
+  });
+
+  function describeSimEvent(event) {
+    return event.outcome === 'withstood' ? t('Withstood') : t('Setback −{damage}', { damage: formatNumber(event.damage) });
+  }
+
+  function simEventLabel(event) {
+    return `${event.icon} ${t(event.label)}`;
+  }
+
+  function drawGrowthChart() {
+    if (!simChart || !simTimeline.length) return;
+    const ctx = simChart.getContext('2d');
+    if (!ctx) return;
+    const dpr = window.devicePixelRatio || 1;
+    const w = simChart.width = simChart.offsetWidth * dpr;
+    const h = simChart.height = simChart.offsetHeight * dpr;
+    const pad = 6 * dpr;
+    const x = year => pad + (year - SIM_START_YEAR) / (SIM_END_YEAR - SIM_START_YEAR) * (w - pad * 2);
+    const y = value => h - pad - value / 100 * (h - pad * 2);
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+    ctx.lineWidth = dpr;
+    ctx.beginPath();
+    [25, 50, 75].forEach(v => {
+      ctx.moveTo(pad, y(v));
+      ctx.lineTo(w - pad, y(v));
+    });
+    ctx.stroke();
+
+    // Event years as ticks along the bottom edge
+    ctx.fillStyle = '#f43f5e';
+    simTimeline.forEach(entry => {
+      if (entry.event) ctx.fillRect(x(entry.year) - dpr, h - pad - 4 * dpr, 2 * dpr, 4 * dpr);
+    });
+
+    SCORE_KEYS.forEach(key => {
+      ctx.strokeStyle = SIM_STAT_COLORS[key];
+      ctx.lineWidth = 1.5 * dpr;
+      ctx.beginPath();
+      simTimeline.forEach((entry, i) => {
+        if (i === 0) ctx.moveTo(x(entry.year), y(entry.scores[key]));
+        else ctx.lineTo(x(entry.year), y(entry.scores[key]));
+      });
+      ctx.stroke();
+    });
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.lineWidth = dpr;
+    ctx.beginPath();
+    ctx.moveTo(x(simYear), pad);
+    ctx.lineTo(x(simYear), h - pad);
+    ctx.stroke();
+  }
+
+  function renderGrowthEvents() {
+    if (!simEventList) return;
+    const events = simTimeline.filter(entry => entry.event);
+    if (!events.length) {
+      simEventList.innerHTML = `<li class="growth-event-none">${escapeHTML(t('No disruptions in fifty years.'))}</li>`;
+      return;
+    }
+    simEventList.innerHTML = events.map(entry => `
+      <li>
+        <button class="growth-event ${entry.event.outcome}" data-year="${entry.year}">
+          <span class="growth-event-year">${entry.year}</span>
+          <span>${escapeHTML(simEventLabel(entry.event))}</span>
+          <span class="growth-event-outcome">${escapeHTML(describeSimEvent(entry.event))}</span>
+        </button>
+      </li>`).join('');
+  }
+
+  function showSimYear(year) {
+    const entry = simTimeline[year - SIM_START_YEAR];
+    if (!entry) return;
+    simYear = year;
+    simulatedState = entry.state;
+    if (simYearSlider) {
+      simYearSlider.value = year;
+      simYearSlider.setAttribute('aria-valuetext', String(year));
+    }
+    if (simYearLabel) simYearLabel.textContent = year;
+    if (simReadout) {
+      const { state, scores, event } = entry;
+      simReadout.textContent = t('Population {population} · Greenery {greenery} · Tech {tech} · Livability {livability}', {
+        population: formatPercent(state.population),
+        greenery: formatPercent(state.greenery),
+        tech: formatPercent(state.tech),
+        livability: formatNumber(scores.livability)
+      }) + (event ? ` · ${simEventLabel(event)}: ${describeSimEvent(event)}` : '');
+    }
+    if (simEventList) {
+      simEventList.querySelectorAll('.growth-event').forEach(btn => {
+        btn.classList.toggle('current', Number(btn.dataset.year) === year);
+      });
+    }
+    drawGrowthChart();
+    renderCityCanvas();
+    scheduleCityDescription();
+  }
+
+  function stopSimPlayback() {
+    simPlayback.stop();
+    if (simPlayBtn) {
+      simPlayBtn.textContent = '▶';
+      simPlayBtn.setAttribute('aria-pressed', 'false');
+      simPlayBtn.setAttribute('aria-label', t('Play simulation'));
+    }
+  }
+
+  function startSimPlayback() {
+    if (simYear >= SIM_END_YEAR) showSimYear(SIM_START_YEAR);
+    lastSimStep = 0;
+    simPlayback.start();
+    simPlayBtn.textContent = '❚❚';
+    simPlayBtn.setAttribute('aria-pressed', 'true');
+    simPlayBtn.setAttribute('aria-label', t('Pause simulation'));
+  }
+
+  // Called from updatePreview so the timeline follows configurator edits
+  function refreshGrowthSimulation() {
+    const panel = document.getElementById('growth-sim');
+    if (!panel || panel.hidden) return;
+    simTimeline = simulateGrowth(configState, renderSeed);
+    renderGrowthEvents();
+    showSimYear(simYear);
+  }
+
+  function updateSimToggle() {
+    if (!simToggle || !simPanel) return;
+    simToggle.querySelector('span').textContent = simPanel.hidden ? t('Simulate to 2076') : t('Exit Simulation');
+  }
+
+  if (simToggle && simPanel) {
+    simToggle.addEventListener('click', () => {
+      const isHidden = simPanel.hidden;
+      simPanel.hidden = !isHidden;
+      simToggle.setAttribute('aria-expanded', isHidden);
+      updateSimToggle();
+      if (isHidden) {
+        simYear = SIM_START_YEAR;
+        refreshGrowthSimulation();
+      } else {
+        stopSimPlayback();
+        simulatedState = null;
+        renderCityCanvas();
+        scheduleCityDescription();
+      }
+    });
+  }
+  if (simYearSlider) {
+    simYearSlider.addEventListener('input', () => {
+      stopSimPlayback();
+      showSimYear(parseInt(simYearSlider.value, 10));
+    });
+  }
+  if (simPlayBtn) {
+    simPlayBtn.addEventListener('click', () => {
+      if (simPlayback.running) stopSimPlayback();
+      else startSimPlayback();
+    });
+  }
+  onLocaleChange(() => {
+    updateSimToggle();
+    if (simPlayBtn) simPlayBtn.setAttribute('aria-label', simPlayback.running ? t('Pause simulation') : t('Play simulation'));
+  });
+  if (simEventList) {
+    simEventList.addEventListener('click', (e) => {
+      const btn = e.target.closest('.growth-event');
+      if (!btn) return;
+      stopSimPlayback();
+      showSimYear(Number(btn.dataset.year));
+    });
+  }
+
+  // ------------------------------------------
+  // Export PNG
+  // ------------------------------------------
+  const exportPngBtn = document.getElementById('export-png-btn');
+  if (exportPngBtn && cityCanvas) {
+    exportPngBtn.addEventListener('click', () => {
+      renderCityCanvas(); // Ensure fresh render
+      const link = document.createElement('a');
+      const name = cityNameInput.value.trim() || 'future-city';
+      link.download = name.replace(/\s+/g, '-').toLowerCase() + '-blueprint.png';
+      link.href = cityCanvas.toDataURL('image/png');
+      link.click();
+      showToast(t('Blueprint exported as PNG!'));
+    });
+  }
 
-        // Trunk
-        ctx.fillStyle = 'rgba(100, 70, 40, 0.35)';
-        ctx.fillRect(tx - scale, ty - ts * 0.3, 2 * scale, ts * 0.6);
-      }
+  // ------------------------------------------
+  // Poster Export (SVG / high-DPI PNG)
+  // ------------------------------------------
+  const POSTER_ASPECT = 2 / 3;
+  const POSTER_MIN_WIDTH = 600;
+  const POSTER_MAX_WIDTH = 8000;
+  const POSTER_TIME = 6000; // Frozen moment for capsules and turbine blades
+
+  // Splits a canvas color ('#rrggbbaa', '#rrggbb', 'rgba(...)', 'transparent')
+  // into an SVG paint + opacity pair, which print tools handle more reliably
+  function splitColor(color) {
+    if (color === 'transparent') return ['#000', 0];
+    let m = /^#([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(color);
+    if (m) return ['#' + m[1], m[2] ? +(parseInt(m[2], 16) / 255).toFixed(3) : 1];
+    m = /^rgba?\(([^,]+),([^,]+),([^,)]+)(?:,([^)]+))?\)$/.exec(color.replace(/\s+/g, ''));
+    if (m) return [`rgb(${m[1]},${m[2]},${m[3]})`, m[4] !== undefined ? +m[4] : 1];
+    return [color, 1];
+  }
+
+  // Minimal CanvasRenderingContext2D stand-in that records SVG elements.
+  // Covers the subset used by drawCityModel, drawMotionLayer and the legend.
+  function createSVGContext(w, h) {
+    const defs = [];
+    const body = [];
+    let path = '';
+    let gradientCount = 0;
+    const n = (v) => +v.toFixed(2);
+
+    function paint(style, kind) {
+      if (style && style.id) return `${kind}="url(#${style.id})"`;
+      const [color, opacity] = splitColor(String(style));
+      return `${kind}="${color}"${opacity < 1 ? ` ${kind}-opacity="${opacity}"` : ''}`;
     }
 
-    // Static flying vehicles (stable positions)
-    if (configState.tech > 40 && configState.transport === 'aerial') {
-      const vehicleCount = Math.min(Math.floor(configState.tech * 0.03), 3);
-      for (let i = 0; i < vehicleCount; i++) {
-        const vx = rng() * w * 0.8 + w * 0.1;
-        const vy = h * 0.12 + rng() * h * 0.25;
-        ctx.beginPath();
-        ctx.ellipse(vx, vy, 4 * scale, 1.5 * scale, 0, 0, Math.PI * 2);
-        ctx.fillStyle = theme.accent + '60';
-        ctx.fill();
+    function gradient(tag, attrs) {
+      const id = 'g' + (++gradientCount);
+      const stops = [];
+      defs.push(() => `<${tag} id="${id}" gradientUnits="userSpaceOnUse" ${attrs}>${stops.join('')}</${tag}>`);
+      return {
+        id,
+        addColorStop(offset, color) {
+          const [c, o] = splitColor(color);
+          stops.push(`<stop offset="${offset}" stop-color="${c}" stop-opacity="${o}"/>`);
+        }
+      };
+    }
 
-        // Trail
-        ctx.beginPath();
-        ctx.moveTo(vx - 4 * scale, vy);
-        ctx.lineTo(vx - 16 * scale, vy);
-        ctx.strokeStyle = theme.accent + '18';
-        ctx.lineWidth = scale;
-        ctx.stroke();
+    function arcPath(x, y, rx, ry, start, end) {
+      const point = (a) => `${n(x + Math.cos(a) * rx)} ${n(y + Math.sin(a) * ry)}`;
+      if (Math.abs(end - start) >= Math.PI * 2) {
+        // Full ellipse: two half arcs, since one arc cannot end where it starts
+        return `M${point(start)}A${n(rx)} ${n(ry)} 0 1 1 ${point(start + Math.PI)}` +
+          `A${n(rx)} ${n(ry)} 0 1 1 ${point(start)}Z`;
       }
+      const large = Math.abs(end - start) > Math.PI ? 1 : 0;
+      return `${path ? 'L' : 'M'}${point(start)}A${n(rx)} ${n(ry)} 0 ${large} 1 ${point(end)}`;
     }
 
-    // Hyperloop tube tracks (static part)
-    if (configState.transport === 'hyperloop') {
-      for (let i = 0; i < 2; i++) {
-        const py = groundY - (20 + i * 30) * scale;
-        ctx.beginPath();
-        ctx.moveTo(0, py);
-        ctx.quadraticCurveTo(w / 2, py - 15 * scale, w, py);
-        ctx.strokeStyle = theme.accent + '25';
-        ctx.lineWidth = 2.5 * scale;
-        ctx.stroke();
+    return {
+      fillStyle: '#000',
+      strokeStyle: '#000',
+      lineWidth: 1,
+      font: '10px sans-serif',
+      textAlign: 'start',
+      textBaseline: 'alphabetic',
+      createLinearGradient(x0, y0, x1, y1) {
+        return gradient('linearGradient', `x1="${n(x0)}" y1="${n(y0)}" x2="${n(x1)}" y2="${n(y1)}"`);
+      },
+      createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        return gradient('radialGradient', `cx="${n(x1)}" cy="${n(y1)}" r="${n(r1)}" fx="${n(x0)}" fy="${n(y0)}"`);
+      },
+      beginPath() { path = ''; },
+      closePath() { path += 'Z'; },
+      moveTo(x, y) { path += `M${n(x)} ${n(y)}`; },
+      lineTo(x, y) { path += `L${n(x)} ${n(y)}`; },
+      quadraticCurveTo(cx, cy, x, y) { path += `Q${n(cx)} ${n(cy)} ${n(x)} ${n(y)}`; },
+      arc(x, y, r, start, end) { path += arcPath(x, y, r, r, start, end); },
+      ellipse(x, y, rx, ry, rotation, start, end) { path += arcPath(x, y, rx, ry, start, end); },
+      fill() {
+        if (path) body.push(`<path d="${path}" ${paint(this.fillStyle, 'fill')}/>`);
+      },
+      stroke() {
+        if (path) body.push(`<path d="${path}" fill="none" ${paint(this.strokeStyle, 'stroke')} stroke-width="${n(this.lineWidth)}"/>`);
+      },
+      fillRect(x, y, rw, rh) {
+        body.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(rw)}" height="${n(rh)}" ${paint(this.fillStyle, 'fill')}/>`);
+      },
+      strokeRect(x, y, rw, rh) {
+        body.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(rw)}" height="${n(rh)}" fill="none" ${paint(this.strokeStyle, 'stroke')} stroke-width="${n(this.lineWidth)}"/>`);
+      },
+      fillText(text, x, y) {
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        const baseline = { top: 'hanging', middle: 'middle', bottom: 'text-after-edge' }[this.textBaseline] || 'alphabetic';
+        // Canvas font shorthand ("700 12px Family") → explicit attributes
+        const font = /^(?:(\w+)\s+)?([\d.]+)px\s+(.+)$/.exec(this.font) || [];
+        body.push(`<text x="${n(x)}" y="${n(y)}" font-family="${escapeHTML(font[3] || 'sans-serif')}" ` +
+          `font-size="${n(+font[2] || 10)}" font-weight="${font[1] || 400}" text-anchor="${anchor}" ` +
+          `dominant-baseline="${baseline}" ${paint(this.fillStyle, 'fill')}>${escapeHTML(text)}</text>`);
+      },
+      serialize() {
+        return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+          `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">` +
+          `<defs>${defs.map(d => d()).join('')}</defs>${body.join('')}</svg>`;
       }
-    }
+    };
+  }
+
+  // City name, livability and the four stats over the lower part of the poster
+  function drawPosterLegend(ctx, w, h, scale, theme, name) {
+    const scores = computeScores();
+    const pad = 24 * scale;
+    const top = h * 0.7;
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#e8e8f0';
+    ctx.font = `800 ${26 * scale}px Outfit, sans-serif`;
+    ctx.fillText(name, pad, top);
+
+    ctx.fillStyle = theme.accent;
+    ctx.font = `500 ${11 * scale}px "JetBrains Mono", monospace`;
+    ctx.fillText(`${t('Livability').toLocaleUpperCase(locale)} ${formatNumber(scores.livability)}  ·  FUTURE CITIES 2076`, pad, top + 20 * scale);
+
+    const stats = [
+      [t('Sustainability'), scores.sustainability],
+      [t('Innovation'), scores.innovation],
+      [t('Quality of Life'), scores.quality],
+      [t('Resilience'), scores.resilience]
+    ];
+    const gap = 16 * scale;
+    const colW = (w - pad * 2 - gap * (stats.length - 1)) / stats.length;
+    const barY = h - pad - 10 * scale;
+
+    stats.forEach(([label, value], i) => {
+      const x = pad + i * (colW + gap);
+      ctx.fillStyle = '#9898b8';
+      ctx.font = `400 ${9 * scale}px "Space Grotesk", sans-serif`;
+      ctx.textAlign = 'left';
+      ctx.fillText(label, x, barY - 6 * scale);
+      ctx.fillStyle = theme.accent;
+      ctx.font = `500 ${9 * scale}px "JetBrains Mono", monospace`;
+      ctx.textAlign = 'right';
+      ctx.fillText(formatPercent(value), x + colW, barY - 6 * scale);
+
+      ctx.fillStyle = 'rgba(255,255,255,0.08)';
+      ctx.fillRect(x, barY, colW, 4 * scale);
+      const barGrad = ctx.createLinearGradient(x, 0, x + colW, 0);
+      barGrad.addColorStop(0, '#00f0ff');
+      barGrad.addColorStop(1, '#a855f7');
+      ctx.fillStyle = barGrad;
+      ctx.fillRect(x, barY, colW * value / 100, 4 * scale);
+    });
+  }
+
+  function drawPoster(ctx, w, h) {
+    const scale = w / 600;
+    const state = applyZoning(configState);
+    const theme = themes[state.environment] || themes.urban;
+    const model = modelForCanvas(state, renderSeed, w, h);
+    drawCityModel(ctx, model, scale, theme, computeLighting(theme, timeOfDay));
+    drawMotionLayer(ctx, model, scale, theme, POSTER_TIME);
+    drawPosterLegend(ctx, w, h, scale, theme, cityNameInput.value.trim() || t('Unnamed City'));
+  }
 
-    // Teleport beams (static)
-    if (configState.transport === 'teleport') {
-      for (let i = 0; i < 3; i++) {
-        const bx2 = w * 0.2 + (i * w * 0.3);
-        const beamGrad = ctx.createLinearGradient(bx2, 0, bx2, groundY);
-        beamGrad.addColorStop(0, 'transparent');
-        beamGrad.addColorStop(0.3, theme.accent + '08');
-        beamGrad.addColorStop(0.7, theme.accent + '18');
-        beamGrad.addColorStop(1, theme.accent + '04');
-        ctx.fillStyle = beamGrad;
-        ctx.fillRect(bx2 - 3 * scale, 0, 6 * scale, groundY);
+  const posterFormat = document.getElementById('poster-format');
+  const posterWidth = document.getElementById('poster-width');
+  const exportPosterBtn = document.getElementById('export-poster-btn');
+
+  if (exportPosterBtn && posterFormat && posterWidth) {
+    exportPosterBtn.addEventListener('click', () => {
+      const w = Math.min(POSTER_MAX_WIDTH, Math.max(POSTER_MIN_WIDTH, parseInt(posterWidth.value, 10) || 3600));
+      const h = Math.round(w * POSTER_ASPECT);
+      posterWidth.value = w;
+      const base = (cityNameInput.value.trim() || 'future-city').replace(/\s+/g, '-').toLowerCase() + '-poster';
+
+      if (posterFormat.value === 'svg') {
+        const svgCtx = createSVGContext(w, h);
+        drawPoster(svgCtx, w, h);
+        downloadBlob(new Blob([svgCtx.serialize()], { type: 'image/svg+xml' }), base + '.svg');
+        showToast(t('Poster exported as SVG!'));
+        return;
       }
-    }
 
-    // Energy source: Fusion reactor glow (static)
-    if (configState.energy === 'fusion') {
-      ctx.beginPath();
-      const fGrad = ctx.createRadialGradient(w * 0.8, groundY, 0, w * 0.8, groundY, 35 * scale);
-      fGrad.addColorStop(0, theme.accent + '30');
-      fGrad.addColorStop(0.5, theme.accent + '10');
-      fGrad.addColorStop(1, 'transparent');
-      ctx.fillStyle = fGrad;
-      ctx.arc(w * 0.8, groundY, 35 * scale, 0, Math.PI * 2);
-      ctx.fill();
+      const canvas = document.createElement('canvas');
+      canvas.width = w;
+      canvas.height = h;
+      drawPoster(canvas.getContext('2d'), w, h);
+      canvas.toBlob(blob => {
+        if (!blob) {
+          showToast(t('Poster too large for this browser — try a smaller width'));
+          return;
+        }
+        downloadBlob(blob, `${base}-${w}x${h}.png`);
+        showToast(t('Poster exported as {size} PNG!', { size: `${w}×${h}` }));
+      }, 'image/png');
+    });
+  }
+
+  // ------------------------------------------
+  // GIF Encoder
+  // ------------------------------------------
+  // Just enough GIF89a for a looping animation: one global palette built from
+  // the most common colours of the first frame, then LZW-compressed frames.
+  const GIF_PALETTE_SIZE = 256;
+
+  // Popularity palette over 5-bit channels; the static city dominates every
+  // frame, so the first one is a good sample for the whole clip
+  function buildGIFPalette(pixels) {
+    const counts = new Map();
+    for (let i = 0; i < pixels.length; i += 4) {
+      const key = (pixels[i] >> 3) << 10 | (pixels[i + 1] >> 3) << 5 | pixels[i + 2] >> 3;
+      counts.set(key, (counts.get(key) || 0) + 1);
     }
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, GIF_PALETTE_SIZE)
+      .map(([key]) => [(key >> 10) << 3 | 4, (key >> 5 & 31) << 3 | 4, (key & 31) << 3 | 4]);
+  }
 
-    // Energy source: Solar panels (stable positions)
-    if (configState.energy === 'solar') {
-      const solarRng = createSeededRNG(99);
-      for (let i = 0; i < 4; i++) {
-        const sx2 = w * 0.15 + i * w * 0.18;
-        const sy2 = groundY - maxHeight * (0.3 + solarRng() * 0.35);
-        ctx.fillStyle = 'rgba(100, 160, 255, 0.2)';
-        ctx.fillRect(sx2, sy2, 14 * scale, 3 * scale);
-        ctx.strokeStyle = theme.accent + '25';
-        ctx.lineWidth = 0.5 * scale;
-        ctx.strokeRect(sx2, sy2, 14 * scale, 3 * scale);
+  function nearestPaletteIndex(palette, r, g, b) {
+    let best = 0;
+    let bestDist = Infinity;
+    palette.forEach(([pr, pg, pb], i) => {
+      const dist = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = i;
       }
-    }
+    });
+    return best;
+  }
 
-    // Energy source: Wind turbine poles (static part)
-    if (configState.energy === 'wind') {
-      for (let i = 0; i < 3; i++) {
-        const wx2 = w * 0.15 + i * w * 0.3;
-        const wy2 = groundY - 45 * scale;
-        ctx.strokeStyle = 'rgba(200,200,200,0.2)';
-        ctx.lineWidth = 2 * scale;
-        ctx.beginPath();
-        ctx.moveTo(wx2, groundY);
-        ctx.lineTo(wx2, wy2);
-        ctx.stroke();
+  // Variable-width LZW as GIF wants it, packed into 255-byte sub-blocks
+  function lzwEncode(indices, out) {
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const block = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dict = new Map();
+    let bits = 0;
+    let bitCount = 0;
+
+    function emit(code) {
+      bits |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        block.push(bits & 0xff);
+        bits >>>= 8;
+        bitCount -= 8;
+        if (block.length === 255) {
+          out.push(255, ...block);
+          block.length = 0;
+        }
+      }
+    }
 
-        // Hub dot
-        ctx.beginPath();
-        ctx.arc(wx2, wy2, 2 * scale, 0, Math.PI * 2);
-        ctx.fillStyle = 'rgba(200,200,220,0.3)';
-        ctx.fill();
+    out.push(minCodeSize);
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const key = prefix << 8 | indices[i];
+      const code = dict.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+      emit(prefix);
+      if (nextCode === 4096) {
+        // Table full: start over rather than growing past 12 bits
+        emit(clearCode);
+        dict = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        if (nextCode === 1 << codeSize) codeSize++;
+        dict.set(key, nextCode++);
       }
+      prefix = indices[i];
     }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) block.push(bits & 0xff);
+    if (block.length) out.push(block.length, ...block);
+    out.push(0);
+  }
 
-    return offscreen;
+  function createGIFEncoder(w, h, delayMs) {
+    const parts = [];
+    const indexCache = new Map();
+    let palette = null;
+
+    // Bytes are gathered per block and frozen into typed arrays, which keeps
+    // a ten-second clip from turning into one huge array of numbers
+    function write(build) {
+      const bytes = [];
+      build(bytes, (v) => bytes.push(v & 0xff, v >> 8 & 0xff));
+      parts.push(new Uint8Array(bytes));
+    }
+    const ascii = (str) => str.split('').map(c => c.charCodeAt(0));
+
+    return {
+      addFrame(pixels) {
+        if (!palette) {
+          palette = buildGIFPalette(pixels);
+          while (palette.length < GIF_PALETTE_SIZE) palette.push([0, 0, 0]);
+          write((bytes, word) => {
+            bytes.push(...ascii('GIF89a'));
+            word(w);
+            word(h);
+            bytes.push(0xf7, 0, 0); // Global 256-colour table
+            palette.forEach(rgb => bytes.push(...rgb));
+            // NETSCAPE2.0 extension: loop forever
+            bytes.push(0x21, 0xff, 11, ...ascii('NETSCAPE2.0'), 3, 1, 0, 0, 0);
+          });
+        }
+
+        const indices = new Uint8Array(w * h);
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+          const key = (pixels[p] >> 3) << 10 | (pixels[p + 1] >> 3) << 5 | pixels[p + 2] >> 3;
+          let index = indexCache.get(key);
+          if (index === undefined) {
+            index = nearestPaletteIndex(palette, pixels[p], pixels[p + 1], pixels[p + 2]);
+            indexCache.set(key, index);
+          }
+          indices[i] = index;
+        }
+
+        write((bytes, word) => {
+          bytes.push(0x21, 0xf9, 4, 0x04); // Graphic control: keep frame, no transparency
+          word(Math.round(delayMs / 10));
+          bytes.push(0, 0, 0x2c);
+          word(0);
+          word(0);
+          word(w);
+          word(h);
+          bytes.push(0);
+          lzwEncode(indices, bytes);
+        });
+      },
+      finish() {
+        parts.push(new Uint8Array([0x3b]));
+        return new Blob(parts, { type: 'image/gif' });
+      }
+    };
   }
 
-  function renderCityCanvas() {
-    if (!cityCtx) return;
+  // ------------------------------------------
+  // Canvas Recording (WebM / GIF)
+  // ------------------------------------------
+  // Captures the live city canvas for a few seconds at a fixed frame rate.
+  // Each frame is rendered for its own timestamp, copied into a recording
+  // canvas and watermarked; MediaRecorder turns that into WebM where the
+  // browser supports it, otherwise frames go through the GIF encoder above.
+  const RECORD_FPS = 20;
+  const RECORD_MAX_WIDTH = { webm: 1280, gif: 480 };
+  const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+  const recordFormat = document.getElementById('record-format');
+  const recordDuration = document.getElementById('record-duration');
+  const recordBtn = document.getElementById('record-btn');
+  const recordProgress = document.getElementById('record-progress');
+  const recordStatus = document.getElementById('record-status');
+  let activeRecording = null;
+
+  function supportedWebMType() {
+    if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return '';
+    return WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+  }
 
-    const w = cityCanvas.width = cityCanvas.offsetWidth * (window.devicePixelRatio || 1);
-    const h = cityCanvas.height = cityCanvas.offsetHeight * (window.devicePixelRatio || 1);
+  function drawRecordingWatermark(ctx, w, h, theme) {
     const scale = w / 600;
-    const theme = themes[configState.environment] || themes.urban;
-    const groundY = h * 0.6;
+    const pad = 10 * scale;
+    ctx.save();
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'alphabetic';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+    ctx.shadowBlur = 4 * scale;
+    ctx.fillStyle = '#e8e8f0';
+    ctx.font = `700 ${13 * scale}px Outfit, sans-serif`;
+    ctx.fillText(cityNameInput.value.trim() || t('Unnamed City'), w - pad, h - pad - 12 * scale);
+    ctx.fillStyle = theme.accent;
+    ctx.font = `500 ${7 * scale}px "JetBrains Mono", monospace`;
+    ctx.fillText('FUTURE CITIES 2076', w - pad, h - pad);
+    ctx.restore();
+  }
 
-    // Rebuild static cache if config changed
-    const currentKey = getConfigKey();
-    if (currentKey !== lastConfigKey) {
-      staticSceneCache = renderStaticScene(w, h, scale, theme);
-      lastConfigKey = currentKey;
-    }
+  function setRecordProgress(fraction, label) {
+    const percent = Math.round(fraction * 100);
+    recordProgress.querySelector('.record-progress-fill').style.width = percent + '%';
+    recordProgress.setAttribute('aria-valuenow', percent);
+    recordStatus.textContent = label;
+  }
 
-    // Draw cached static scene
-    cityCtx.clearRect(0, 0, w, h);
-    if (staticSceneCache) {
-      cityCtx.drawImage(staticSceneCache, 0, 0);
-    }
+  function labelRecordControls() {
+    recordBtn.querySelector('span').textContent = activeRecording ? t('Cancel') : t('Record');
+    const webmOption = recordFormat.querySelector('option[value="webm"]');
+    webmOption.textContent = webmOption.disabled
+      ? t('{format} — not supported', { format: t('WebM (video)') })
+      : t('WebM (video)');
+  }
 
-    // --- Animated overlay elements (only these update per frame) ---
+  function setRecordingUI(recording) {
+    labelRecordControls();
+    recordBtn.classList.toggle('recording', recording);
+    recordFormat.disabled = recording;
+    recordDuration.disabled = recording;
+    recordProgress.hidden = !recording;
+    if (!recording) recordStatus.textContent = '';
+  }
 
-    const now = Date.now();
+  function finishRecording(blob, ext) {
+    const base = (cityNameInput.value.trim() || 'future-city').replace(/\s+/g, '-').toLowerCase();
+    activeRecording = null;
+    setRecordingUI(false);
+    downloadBlob(blob, `${base}-recording.${ext}`);
+    showToast(t('Recording exported as {format}!', { format: ext.toUpperCase() }));
+  }
 
-    // Animated: Hyperloop capsules (very slow glide)
-    if (configState.transport === 'hyperloop') {
-      for (let i = 0; i < 2; i++) {
-        const py = groundY - (20 + i * 30) * scale;
-        // Slow speed: divide by 80 instead of 20
-        const cx = (now / 80 + i * 350) % w;
-        // Calculate Y offset along the curve
-        const t = cx / w;
-        const curveY = py - 15 * scale * 4 * t * (1 - t);
-        cityCtx.beginPath();
-        cityCtx.ellipse(cx, curveY - 3 * scale, 6 * scale, 2.5 * scale, 0, 0, Math.PI * 2);
-        cityCtx.fillStyle = theme.accent + '70';
-        cityCtx.fill();
-        // Subtle glow
-        cityCtx.beginPath();
-        cityCtx.ellipse(cx, curveY - 3 * scale, 10 * scale, 4 * scale, 0, 0, Math.PI * 2);
-        cityCtx.fillStyle = theme.accent + '10';
-        cityCtx.fill();
-      }
+  function cancelRecording(message) {
+    if (!activeRecording) return;
+    const rec = activeRecording;
+    activeRecording = null;
+    clearTimeout(rec.timer);
+    if (rec.recorder && rec.recorder.state !== 'inactive') {
+      rec.recorder.onstop = null;
+      rec.recorder.stop();
     }
+    setRecordingUI(false);
+    showToast(message);
+  }
 
-    // Animated: Wind turbine blades (gentle spin)
-    if (configState.energy === 'wind') {
-      for (let i = 0; i < 3; i++) {
-        const wx2 = w * 0.15 + i * w * 0.3;
-        const wy2 = groundY - 45 * scale;
-        for (let b = 0; b < 3; b++) {
-          // Very slow rotation: divide by 4000 instead of 1000
-          const angle = (b * Math.PI * 2 / 3) + (now / 4000) + (i * 0.8);
-          cityCtx.beginPath();
-          cityCtx.moveTo(wx2, wy2);
-          cityCtx.lineTo(wx2 + Math.cos(angle) * 18 * scale, wy2 + Math.sin(angle) * 18 * scale);
-          cityCtx.strokeStyle = 'rgba(200,200,255,0.25)';
-          cityCtx.lineWidth = 1.2 * scale;
-          cityCtx.stroke();
-        }
-      }
+  function captureFrame(rec) {
+    if (activeRecording !== rec) return;
+    const now = rec.start + rec.frame * rec.interval;
+    renderCityCanvas(now);
+    const { canvas, ctx } = rec;
+    ctx.drawImage(cityCanvas, 0, 0, canvas.width, canvas.height);
+    drawRecordingWatermark(ctx, canvas.width, canvas.height, themes[displayedState().environment] || themes.urban);
+
+    // GIF frames are encoded as they come, so only one is held in memory
+    if (rec.recorder) rec.track.requestFrame();
+    else rec.encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+
+    rec.frame++;
+    const seconds = rec.frame / RECORD_FPS;
+    setRecordProgress(rec.frame / rec.total, t('Capturing {elapsed} / {total} s', {
+      elapsed: formatNumber(seconds, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+      total: formatNumber(rec.total / RECORD_FPS)
+    }));
+
+    if (rec.frame < rec.total) {
+      // Schedule against the wall clock so the clip plays back at real speed
+      rec.timer = setTimeout(() => captureFrame(rec), Math.max(0, now + rec.interval - Date.now()));
+    } else if (rec.recorder) {
+      rec.recorder.stop();
+    } else {
+      finishRecording(rec.encoder.finish(), 'gif');
     }
+  }
 
-    // Animated: Subtle antenna blink (slow pulse)
-    if (configState.tech > 50) {
-      const blinkAlpha = 0.3 + Math.sin(now / 1500) * 0.3;
-      const buildingCount = Math.floor(6 + configState.population * 0.15);
-      const maxHeight = h * 0.12 + (configState.population / 100) * h * 0.3;
-      const rng = createSeededRNG(42);
-      // Skip through RNG to find antenna positions (must match static scene)
-      // Consume star RNG calls
-      const starCount = Math.floor(15 + configState.tech * 0.2);
-      for (let i = 0; i < starCount; i++) { rng(); rng(); rng(); rng(); }
-
-      for (let i = 0; i < buildingCount; i++) {
-        rng(); // jitter
-        const bx = (i / buildingCount) * w + 0; // don't need exact - just the antenna center
-        const bw = (18 + rng() * 22) * scale;
-        rng(); // consume bw rng
-        const bh = (30 + rng() * maxHeight / scale) * scale;
-        const by = groundY - bh;
-
-        // Skip window RNG calls
-        const windowRows = Math.floor(bh / (8 * scale));
-        const windowCols = Math.floor(bw / (8 * scale));
-        for (let wy = 0; wy < windowRows; wy++) {
-          for (let wx = 0; wx < windowCols; wx++) {
-            rng(); rng(); // chance + lit
-          }
-        }
+  function startRecording() {
+    renderCityCanvas();
+    if (!cityCanvas.width || !cityCanvas.height) {
+      showToast(t('Scroll the city preview into view to record it'));
+      return;
+    }
+    let format = recordFormat.value;
+    const webmType = supportedWebMType();
+    if (format === 'webm' && !webmType) format = 'gif';
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.min(cityCanvas.width, RECORD_MAX_WIDTH[format]);
+    canvas.height = Math.round(canvas.width * cityCanvas.height / cityCanvas.width);
+    const seconds = Number(recordDuration.value) || 5;
+    const rec = {
+      canvas,
+      ctx: canvas.getContext('2d'),
+      start: Date.now(),
+      interval: 1000 / RECORD_FPS,
+      frame: 0,
+      total: seconds * RECORD_FPS,
+      timer: 0,
+      encoder: format === 'gif' ? createGIFEncoder(canvas.width, canvas.height, 1000 / RECORD_FPS) : null,
+      recorder: null,
+      track: null
+    };
 
-        // Only blink top-most antenna lights
-        if (bh > maxHeight * 0.6) {
-          const ax = (i / buildingCount) * w + (0) + bw / 2; // approximate
-          cityCtx.beginPath();
-          cityCtx.arc(ax, by - 12 * scale, 1.5 * scale, 0, Math.PI * 2);
-          cityCtx.fillStyle = theme.accent + Math.floor(blinkAlpha * 255).toString(16).padStart(2, '0');
-          cityCtx.fill();
-        }
+    if (format === 'webm') {
+      try {
+        const stream = canvas.captureStream(0);
+        rec.track = stream.getVideoTracks()[0];
+        rec.recorder = new MediaRecorder(stream, { mimeType: webmType, videoBitsPerSecond: 5e6 });
+      } catch (e) {
+        return startGIFFallback();
       }
+      const chunks = [];
+      rec.recorder.ondataavailable = (e) => {
+        if (e.data.size) chunks.push(e.data);
+      };
+      rec.recorder.onstop = () => finishRecording(new Blob(chunks, { type: 'video/webm' }), 'webm');
+      rec.recorder.start();
     }
+
+    activeRecording = rec;
+    setRecordingUI(true);
+    setRecordProgress(0, t('Capturing…'));
+    captureFrame(rec);
   }
 
-  // Initial render
-  if (cityCanvas) {
-    setTimeout(() => {
-      renderCityCanvas();
-    }, 100);
-    window.addEventListener('resize', debounce(() => {
-      lastConfigKey = ''; // Force cache invalidation on resize
-      renderCityCanvas();
-    }, 200));
+  function startGIFFallback() {
+    recordFormat.value = 'gif';
+    showToast(t('WebM recording is not available here — recording a GIF instead'));
+    startRecording();
   }
 
-  // Animate city canvas — only runs when configurator is visible
-  // Uses a slower update rate (~20fps) since only subtle elements animate
-  if (cityCanvas && !prefersReducedMotion) {
-    let cityAnimFrame;
-    let lastCityFrame = 0;
-    const CITY_FRAME_INTERVAL = 50; // ~20fps, much gentler
+  if (recordBtn && recordFormat && recordDuration && recordProgress && recordStatus && cityCtx) {
+    if (!supportedWebMType()) {
+      // Keep the option visible so people know why they get a GIF
+      recordFormat.querySelector('option[value="webm"]').disabled = true;
+      labelRecordControls();
+      recordFormat.value = 'gif';
+    }
+    onLocaleChange(labelRecordControls);
 
-    function animateCity(timestamp) {
-      if (timestamp - lastCityFrame >= CITY_FRAME_INTERVAL) {
-        lastCityFrame = timestamp;
-        renderCityCanvas();
+    recordBtn.addEventListener('click', () => {
+      if (activeRecording) cancelRecording(t('Recording cancelled'));
+      else startRecording();
+    });
+  }
+
+  // ------------------------------------------
+  // Blueprint File Export / Import (.futurecity.json)
+  // ------------------------------------------
+  const BLUEPRINT_FILE_FORMAT = 'futurecity-blueprint';
+  const BLUEPRINT_FILE_VERSION = 1;
+  const MAX_RENDER_SEED = 2147483646;
+
+  function buildBlueprintFile() {
+    return {
+      format: BLUEPRINT_FILE_FORMAT,
+      formatVersion: BLUEPRINT_FILE_VERSION,
+      name: cityNameInput.value.trim(),
+      config: Object.assign({}, configState),
+      scores: computeScores(),
+      scoringModel: { id: scoringModel.id, version: scoringModel.version },
+      renderSeed,
+      exportedAt: new Date().toISOString()
+    };
+  }
+
+  // Validates a parsed blueprint file. Throws an Error describing what is
+  // wrong; otherwise returns { name, config, renderSeed, warnings }.
+  function parseBlueprintFile(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('File is not a blueprint object');
+    }
+    if (data.format !== BLUEPRINT_FILE_FORMAT) {
+      throw new Error(`Unrecognised format "${data.format}" (expected "${BLUEPRINT_FILE_FORMAT}")`);
+    }
+    if (!Number.isInteger(data.formatVersion) || data.formatVersion < 1 || data.formatVersion > BLUEPRINT_FILE_VERSION) {
+      throw new Error(`Unsupported blueprint version ${data.formatVersion}`);
+    }
+    if (data.name !== undefined && typeof data.name !== 'string') {
+      throw new Error('"name" must be a string');
+    }
+
+    const { config, warnings } = validateConfig(data.config);
+
+    let seed = DEFAULT_RENDER_SEED;
+    if (data.renderSeed !== undefined) {
+      if (!Number.isInteger(data.renderSeed)) {
+        throw new Error('"renderSeed" must be an integer');
       }
-      cityAnimFrame = requestAnimationFrame(animateCity);
+      seed = Math.min(MAX_RENDER_SEED, Math.max(1, data.renderSeed));
+      if (seed !== data.renderSeed) warnings.push(`renderSeed ${data.renderSeed} → ${seed}`);
     }
 
-    const configSection = document.getElementById('configurator');
-    if (configSection) {
-      const configObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            cityAnimFrame = requestAnimationFrame(animateCity);
-          } else {
-            cancelAnimationFrame(cityAnimFrame);
-          }
-        });
-      }, { threshold: 0.1 });
-      configObserver.observe(configSection);
+    const model = data.scoringModel;
+    if (model && model.version && (model.id !== scoringModel.id || model.version !== scoringModel.version)) {
+      warnings.push(`scored with ${model.id || 'unknown model'} v${model.version}, rescored with v${scoringModel.version}`);
     }
+
+    return { name: (data.name || '').trim().slice(0, 30), config, renderSeed: seed, warnings };
   }
 
-  // ------------------------------------------
-  // Save City Button
-  // ------------------------------------------
-  const saveCityBtn = document.getElementById('save-city-btn');
-  const cityNameInput = document.getElementById('city-name-input');
+  function applyBlueprintFile(blueprint) {
+    Object.assign(configState, blueprint.config);
+    renderSeed = blueprint.renderSeed;
+    cityNameInput.value = blueprint.name;
+    syncConfigControls();
+    recordHistory(() => t('Imported "{name}"', { name: blueprint.name || t('Unnamed City') }));
+    updatePreview();
+  }
 
-  if (saveCityBtn) {
-    saveCityBtn.addEventListener('click', () => {
-      const name = cityNameInput.value.trim() || 'Unnamed City';
-      const scores = computeScores();
-      showToast(`"${name}" blueprint saved! Livability: ${scores.livability}`);
-      saveCityBtn.style.transform = 'scale(0.95)';
-      setTimeout(() => { saveCityBtn.style.transform = ''; }, 150);
+  const exportJsonBtn = document.getElementById('export-json-btn');
+  const importJsonBtn = document.getElementById('import-json-btn');
+  const importJsonFile = document.getElementById('import-json-file');
+
+  if (exportJsonBtn) {
+    exportJsonBtn.addEventListener('click', () => {
+      const data = buildBlueprintFile();
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const name = data.name || 'future-city';
+      downloadBlob(blob, name.replace(/\s+/g, '-').toLowerCase() + '.futurecity.json');
+      showToast(t('Blueprint exported as JSON!'));
     });
   }
 
-  // ------------------------------------------
-  // Export PNG
-  // ------------------------------------------
-  const exportPngBtn = document.getElementById('export-png-btn');
-  if (exportPngBtn && cityCanvas) {
-    exportPngBtn.addEventListener('click', () => {
-      renderCityCanvas(); // Ensure fresh render
-      const link = document.createElement('a');
-      const name = cityNameInput.value.trim() || 'future-city';
-      link.download = name.replace(/\s+/g, '-').toLowerCase() + '-blueprint.png';
-      link.href = cityCanvas.toDataURL('image/png');
-      link.click();
-      showToast('Blueprint exported as PNG!');
+  if (importJsonBtn && importJsonFile) {
+    importJsonBtn.addEventListener('click', () => importJsonFile.click());
+    importJsonFile.addEventListener('change', () => {
+      const file = importJsonFile.files[0];
+      importJsonFile.value = '';
+      if (!file) return;
+      file.text().then(text => {
+        let data;
+        try {
+          data = JSON.parse(text);
+        } catch (e) {
+          throw new Error('File is not valid JSON');
+        }
+        const blueprint = parseBlueprintFile(data);
+        applyBlueprintFile(blueprint);
+        const note = blueprint.warnings.length ? t(' (adjusted: {warnings})', { warnings: blueprint.warnings.join(', ') }) : '';
+        showToast(t('Imported "{name}"', { name: blueprint.name || t('Unnamed City') }) + note);
+      }).catch(err => {
+        showToast(t('Import failed: {error}', { error: err.message }));
+      });
     });
   }
 
   // ------------------------------------------
-  // Share URL
+  // Share URL Codec
   // ------------------------------------------
+  // Share links carry the whole blueprint in the hash: `#city=<base64url>`.
+  // Payload layout (version 1):
+  //   [0]      codec version
+  //   [1]      environment (bits 0-2) | energy (bits 3-4) | transport (bits 5-6)
+  //   [2..4]   population, greenery, tech
+  //   [5..8]   render seed, uint32 big-endian
+  //   [9]      name length n, followed by n bytes of UTF-8 name
+  //   [last 2] checksum of everything before it
+  // Version 2 adds the zoning layout after the name: one ZONE_CODES index
+  // per tile, two tiles per byte (high nibble first). Links without
+  // zoning are still written as version 1 so older pages can open them.
+  // Older links used plain query params (?env=&pop=&nrg=...) and still load.
+  const SHARE_CODEC_VERSION = 2;
+  const ZONING_BYTES = Math.ceil(ZONING_TILES / 2);
+  const SHARE_HASH_PREFIX = '#city=';
+  const LEGACY_SHARE_PARAMS = {
+    env: 'environment', pop: 'population', nrg: 'energy',
+    grn: 'greenery', trn: 'transport', tch: 'tech'
+  };
+
+  // FNV-1a, folded to 16 bits
+  function shareChecksum(bytes) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+      hash ^= bytes[i];
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return (hash ^ (hash >>> 16)) & 0xffff;
+  }
+
+  function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(str) {
+    if (!/^[A-Za-z0-9_-]*$/.test(str)) throw new Error('link contains invalid characters');
+    const base64 = str.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((str.length + 3) % 4);
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  }
+
+  function encodeShareCode(config, name, seed) {
+    const nameBytes = new TextEncoder().encode(name).slice(0, 120);
+    const zoningBytes = config.zoning ? ZONING_BYTES : 0;
+    const bytes = new Uint8Array(10 + nameBytes.length + zoningBytes + 2);
+    bytes[0] = zoningBytes ? 2 : 1;
+    bytes[1] = CONFIG_SCHEMA.environment.values.indexOf(config.environment) |
+      (CONFIG_SCHEMA.energy.values.indexOf(config.energy) << 3) |
+      (CONFIG_SCHEMA.transport.values.indexOf(config.transport) << 5);
+    bytes[2] = config.population;
+    bytes[3] = config.greenery;
+    bytes[4] = config.tech;
+    new DataView(bytes.buffer).setUint32(5, seed);
+    bytes[9] = nameBytes.length;
+    bytes.set(nameBytes, 10);
+    [...(config.zoning || '')].forEach((code, i) => {
+      bytes[10 + nameBytes.length + (i >> 1)] |= ZONE_CODES.indexOf(code) << (i % 2 ? 0 : 4);
+    });
+    const checksum = shareChecksum(bytes.subarray(0, bytes.length - 2));
+    bytes[bytes.length - 2] = checksum >> 8;
+    bytes[bytes.length - 1] = checksum & 0xff;
+    return toBase64Url(bytes);
+  }
+
+  // Throws if the code is damaged or from a newer codec; individual fields
+  // that are out of range fall back to defaults (reported in warnings).
+  function decodeShareCode(code) {
+    const bytes = fromBase64Url(code);
+    if (bytes.length < 12) throw new Error('link is truncated');
+    const checksum = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+    if (checksum !== shareChecksum(bytes.subarray(0, bytes.length - 2))) {
+      throw new Error('link is corrupted (checksum mismatch)');
+    }
+    if (bytes[0] > SHARE_CODEC_VERSION) {
+      throw new Error('link was made by a newer version of Future Cities');
+    }
+    const nameLength = bytes[9];
+    const zoningBytes = bytes[0] >= 2 ? ZONING_BYTES : 0;
+    if (bytes.length !== 10 + nameLength + zoningBytes + 2) throw new Error('link is truncated');
+    let zoning = '';
+    for (let i = 0; i < (zoningBytes ? ZONING_TILES : 0); i++) {
+      const index = (bytes[10 + nameLength + (i >> 1)] >> (i % 2 ? 0 : 4)) & 0x0f;
+      zoning += ZONE_CODES[index] || '?'; // '?' fails validation, so the layout is dropped
+    }
+
+    const enumAt = (key, index) => CONFIG_SCHEMA[key].values[index] || `#${index}`;
+    const { config, warnings } = coerceConfig({
+      environment: enumAt('environment', bytes[1] & 0x07),
+      energy: enumAt('energy', (bytes[1] >> 3) & 0x03),
+      transport: enumAt('transport', (bytes[1] >> 5) & 0x03),
+      population: bytes[2],
+      greenery: bytes[3],
+      tech: bytes[4],
+      zoning
+    });
+    const seed = new DataView(bytes.buffer).getUint32(5) || DEFAULT_RENDER_SEED;
+    const name = new TextDecoder().decode(bytes.subarray(10, 10 + nameLength)).slice(0, 30);
+
+    return { config, name, renderSeed: Math.min(MAX_RENDER_SEED, seed), warnings };
+  }
+
+  function decodeLegacyParams(params) {
+    const raw = {};
+    Object.entries(LEGACY_SHARE_PARAMS).forEach(([param, key]) => {
+      if (params.has(param)) raw[key] = params.get(param);
+    });
+    const { config, warnings } = coerceConfig(raw);
+    return { config, name: (params.get('name') || '').trim().slice(0, 30), renderSeed: DEFAULT_RENDER_SEED, warnings };
+  }
+
+  function buildShareURL() {
+    const code = encodeShareCode(configState, cityNameInput.value.trim(), renderSeed);
+    return window.location.origin + window.location.pathname + SHARE_HASH_PREFIX + code;
+  }
+
   const shareUrlBtn = document.getElementById('share-url-btn');
   if (shareUrlBtn) {
     shareUrlBtn.addEventListener('click', () => {
-      const params = new URLSearchParams({
-        env: configState.environment,
-        pop: configState.population,
-        nrg: configState.energy,
-        grn: configState.greenery,
-        trn: configState.transport,
-        tch: configState.tech,
-        name: cityNameInput.value.trim() || ''
-      });
-      const url = window.location.origin + window.location.pathname + '?' + params.toString();
+      const url = buildShareURL();
       navigator.clipboard.writeText(url).then(() => {
-        showToast('Shareable link copied to clipboard!');
+        showToast(t('Shareable link copied to clipboard!'));
       }).catch(() => {
         // Fallback
         const input = document.createElement('input');
@@ -861,50 +4596,42 @@
         input.select();
         document.execCommand('copy');
         document.body.removeChild(input);
-        showToast('Shareable link copied!');
+        showToast(t('Shareable link copied!'));
       });
     });
   }
 
-  // Load config from URL params on startup
+  // Load a shared blueprint from the URL on startup
   (function loadFromURL() {
-    const params = new URLSearchParams(window.location.search);
-    if (params.has('env')) {
-      configState.environment = params.get('env');
-      document.getElementById('config-environment').value = configState.environment;
-    }
-    if (params.has('pop')) {
-      configState.population = parseInt(params.get('pop'));
-      document.getElementById('config-population').value = configState.population;
-      document.getElementById('pop-value').textContent = configState.population + '%';
-    }
-    if (params.has('nrg')) {
-      configState.energy = params.get('nrg');
-      document.querySelectorAll('#config-energy .config-toggle').forEach(b => {
-        b.classList.toggle('active', b.dataset.value === configState.energy);
-        b.setAttribute('aria-checked', b.dataset.value === configState.energy);
-      });
-    }
-    if (params.has('grn')) {
-      configState.greenery = parseInt(params.get('grn'));
-      document.getElementById('config-greenery').value = configState.greenery;
-      document.getElementById('green-value').textContent = configState.greenery + '%';
-    }
-    if (params.has('trn')) {
-      configState.transport = params.get('trn');
-      document.querySelectorAll('#config-transport .config-toggle').forEach(b => {
-        b.classList.toggle('active', b.dataset.value === configState.transport);
-        b.setAttribute('aria-checked', b.dataset.value === configState.transport);
-      });
-    }
-    if (params.has('tch')) {
-      configState.tech = parseInt(params.get('tch'));
-      document.getElementById('config-tech').value = configState.tech;
-      document.getElementById('tech-value').textContent = configState.tech + '%';
+    let shared = null;
+    let problem = null;
+
+    if (window.location.hash.startsWith(SHARE_HASH_PREFIX)) {
+      try {
+        shared = decodeShareCode(window.location.hash.slice(SHARE_HASH_PREFIX.length));
+      } catch (e) {
+        problem = () => t('Shared city could not be loaded: {error}', { error: e.message });
+      }
+    } else {
+      const params = new URLSearchParams(window.location.search);
+      if (Object.keys(LEGACY_SHARE_PARAMS).concat('name').some(p => params.has(p))) {
+        shared = decodeLegacyParams(params);
+      }
     }
-    if (params.has('name')) {
-      cityNameInput.value = params.get('name');
+
+    if (shared) {
+      Object.assign(configState, shared.config);
+      renderSeed = shared.renderSeed;
+      cityNameInput.value = shared.name;
+      syncConfigControls();
+      if (shared.warnings.length) {
+        problem = () => t('Some shared values were adjusted: {warnings}', { warnings: shared.warnings.join('; ') });
+      }
     }
+
+    // Toasts are set up further down; report once the page (and its
+    // language bundle) has settled
+    if (problem) setTimeout(() => showToast(problem()), 600);
   })();
 
   // ------------------------------------------
@@ -943,9 +4670,12 @@
   // Hero Morph Text Animation
   // ------------------------------------------
   const morphEl = document.getElementById('morph-text');
+  const phrases = ['Cities of Tomorrow', 'World of 2076', 'Urban Future', 'Next Frontier', 'Dream Cityscape'];
+  let phraseIndex = 0;
+  if (morphEl) {
+    onLocaleChange(() => { morphEl.textContent = t(phrases[phraseIndex]); });
+  }
   if (morphEl && !prefersReducedMotion) {
-    const phrases = ['Cities of Tomorrow', 'World of 2076', 'Urban Future', 'Next Frontier', 'Dream Cityscape'];
-    let phraseIndex = 0;
 
     setInterval(() => {
       phraseIndex = (phraseIndex + 1) % phrases.length;
@@ -954,133 +4684,323 @@
       morphEl.classList.add('morphing-out');
 
       setTimeout(() => {
-        morphEl.textContent = phrases[phraseIndex];
+        morphEl.textContent = t(phrases[phraseIndex]);
         morphEl.classList.remove('morphing-out');
         morphEl.classList.add('morphing-in');
 
-        // Force reflow
-        void morphEl.offsetWidth;
+        // Force reflow
+        void morphEl.offsetWidth;
+
+        // Reset to visible
+        requestAnimationFrame(() => {
+          morphEl.classList.remove('morphing-in');
+        });
+      }, 400);
+    }, 4000);
+  }
+
+  // ------------------------------------------
+  // Scenario Catalog
+  // ------------------------------------------
+  // Scenarios come from assets/data/scenarios.json. The cards, the detail
+  // modal, the compare selects and section theming are generated from it.
+  const SCENARIO_CATALOG_URL = 'assets/data/scenarios.json';
+  const SCENARIO_CATALOG_FORMAT = 'futurecities-scenarios';
+  const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+  const COUNT_WORDS = ['Zero', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten'];
+  let scenarioCatalog = []; // Validated entries, in English
+  let scenarioData = {}; // The same entries by id, in the current language
+  let scenarioCatalogReady = false;
+  const scenarioReadyCallbacks = [];
+
+  // Runs now if the catalog has rendered, otherwise once it has
+  function onScenariosReady(callback) {
+    if (scenarioCatalogReady) callback();
+    else scenarioReadyCallbacks.push(callback);
+  }
+
+  function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return `${n >> 16}, ${(n >> 8) & 255}, ${n & 255}`;
+  }
+
+  // Lists what is wrong with one catalog entry; empty when it is usable
+  function checkScenario(entry, seen) {
+    if (!entry || typeof entry !== 'object') return ['entry must be an object'];
+    const problems = [];
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    if (!/^[a-z0-9-]+$/.test(entry.id || '')) problems.push('"id" must be lowercase letters, digits or dashes');
+    else if (seen.has(entry.id)) problems.push(`duplicate id "${entry.id}"`);
+    ['title', 'tag', 'hook', 'motif', 'lore'].forEach(key => {
+      if (!isText(entry[key])) problems.push(`"${key}" must be a non-empty string`);
+    });
+    if (!entry.image || !isText(entry.image.src)) problems.push('"image.src" is required');
+    if (entry.year !== undefined && !Number.isInteger(entry.year)) problems.push('"year" must be a whole number');
+    if (!Array.isArray(entry.features) || entry.features.some(f => !f || !isText(f.icon) || !isText(f.text))) {
+      problems.push('"features" must be a list of { icon, text }');
+    }
+    ['accent', 'secondary', 'highlight'].forEach(key => {
+      if (!entry.theme || !HEX_COLOR.test(entry.theme[key] || '')) problems.push(`"theme.${key}" must be a #rrggbb color`);
+    });
+    return problems;
+  }
+
+  // Invalid entries are skipped with a console warning so one typo doesn't
+  // take the whole section down; throws only if nothing usable is left.
+  function validateScenarioCatalog(raw) {
+    if (!raw || typeof raw !== 'object' || raw.format !== SCENARIO_CATALOG_FORMAT) {
+      throw new Error(`Scenario catalog must have "format": "${SCENARIO_CATALOG_FORMAT}"`);
+    }
+    if (!Array.isArray(raw.scenarios)) {
+      throw new Error('Scenario catalog needs a "scenarios" array');
+    }
+    const seen = new Set();
+    const scenarios = [];
+    raw.scenarios.forEach((entry, i) => {
+      const problems = checkScenario(entry, seen);
+      if (problems.length) {
+        console.warn(`Skipping scenario #${i + 1}: ${problems.join('; ')}`);
+        return;
+      }
+      seen.add(entry.id);
+      let preset = null;
+      if (entry.preset !== undefined) {
+        try {
+          const result = validateConfig(entry.preset);
+          preset = result.config;
+          if (result.warnings.length) console.warn(`Scenario "${entry.id}" preset clamped: ${result.warnings.join(', ')}`);
+        } catch (err) {
+          console.warn(`Scenario "${entry.id}" preset ignored: ${err.message}`);
+        }
+      }
+      let sound = null;
+      if (entry.sound !== undefined) {
+        const ok = entry.sound && ['root', 'pad', 'shimmer', 'cutoff'].every(key => Number.isFinite(entry.sound[key]) && entry.sound[key] > 0);
+        if (ok) sound = { root: entry.sound.root, pad: entry.sound.pad, shimmer: entry.sound.shimmer, cutoff: entry.sound.cutoff };
+        else console.warn(`Scenario "${entry.id}" sound ignored: needs positive "root", "pad", "shimmer" and "cutoff" numbers`);
+      }
+      scenarios.push({
+        id: entry.id,
+        title: entry.title,
+        tag: entry.tag,
+        year: entry.year,
+        img: entry.image.src,
+        alt: entry.image.alt || entry.title,
+        hook: entry.hook,
+        motif: entry.motif,
+        features: entry.features.map(f => ({ icon: f.icon, text: f.text })),
+        lore: entry.lore,
+        preset,
+        sound,
+        theme: {
+          accent: entry.theme.accent,
+          secondary: entry.theme.secondary,
+          highlight: entry.theme.highlight,
+          rgb: hexToRgb(entry.theme.accent)
+        }
+      });
+    });
+    if (!scenarios.length) throw new Error('Scenario catalog has no valid scenarios');
+    return scenarios;
+  }
+
+  function scenarioFeaturesHTML(features) {
+    return features.map(f =>
+      `<li><span class="feature-icon">${escapeHTML(f.icon)}</span><span>${escapeHTML(f.text)}</span></li>`
+    ).join('');
+  }
+
+  // Overlays the locale bundle's text for one entry; missing fields stay English
+  function localizeScenario(data) {
+    const text = localeBundle.scenarios[data.id] || {};
+    const localized = Object.assign({}, data);
+    SCENARIO_TEXT_FIELDS.forEach(key => {
+      if (text[key]) localized[key] = text[key];
+    });
+    if (text.features) {
+      localized.features = data.features.map((f, i) => ({ icon: f.icon, text: text.features[i] || f.text }));
+    }
+    return localized;
+  }
+
+  function scenarioCardHTML(data, index) {
+    return `
+      <article class="scenario-card${index % 2 ? ' reverse' : ''} clickable" id="scenario-${data.id}"
+        data-scenario="${data.id}" data-animate="slide-up" role="button" tabindex="0"
+        aria-label="${escapeHTML(t('View {title} details', { title: data.title }))}" style="--scenario-rgb: ${data.theme.rgb}">
+        <div class="scenario-visual">
+          <img src="${escapeHTML(data.img)}" alt="${escapeHTML(data.alt)}" class="scenario-img" loading="lazy">
+          <div class="scenario-img-overlay"></div>
+          <span class="scenario-number">${String(index + 1).padStart(2, '0')}</span>
+          <span class="scenario-expand-hint">${escapeHTML(t('Click to explore →'))}</span>
+        </div>
+        <div class="scenario-content">
+          <div class="scenario-meta">
+            <span class="scenario-tag">${escapeHTML(data.tag)}</span>
+            ${data.year ? `<span class="scenario-year">${escapeHTML(t('Est. {year}', { year: data.year }))}</span>` : ''}
+          </div>
+          <h3 class="scenario-title">${escapeHTML(data.title)}</h3>
+          <p class="scenario-hook">${escapeHTML(data.hook)}</p>
+          <ul class="scenario-features">${scenarioFeaturesHTML(data.features)}</ul>
+          <div class="scenario-motif">
+            <span class="motif-label">${escapeHTML(t('Motif'))}</span>
+            <span class="motif-value">${escapeHTML(data.motif)}</span>
+          </div>
+        </div>
+      </article>`;
+  }
+
+  // Text that follows the language but isn't part of the cards themselves
+  function renderScenarioSummaries() {
+    const scenarios = scenarioCatalog.map(data => scenarioData[data.id]);
+    const options = scenarios.map(data => `<option value="${data.id}">${escapeHTML(data.title)}</option>`).join('');
+    ['compare-a', 'compare-b'].forEach(id => {
+      const select = document.getElementById(id);
+      if (!select) return;
+      const previous = select.value;
+      select.innerHTML = `<option value="">${escapeHTML(t('— Select —'))}</option>` + options;
+      select.value = previous;
+    });
+
+    document.querySelectorAll('[data-scenario-count]').forEach(el => {
+      el.textContent = COUNT_WORDS[scenarios.length] ? t(COUNT_WORDS[scenarios.length]) : formatNumber(scenarios.length);
+    });
+  }
+
+  function renderScenarioCatalog(scenarios) {
+    scenarioCatalog = scenarios;
+    scenarioData = {};
+    scenarios.forEach(data => { scenarioData[data.id] = localizeScenario(data); });
+
+    const list = document.getElementById('scenario-list');
+    if (list) {
+      list.innerHTML = scenarios.map((data, i) => scenarioCardHTML(scenarioData[data.id], i)).join('');
+      list.querySelectorAll('[data-animate]').forEach(observeAnimated);
+    }
+
+    renderScenarioSummaries();
+    const featureCount = scenarios.reduce((sum, data) => sum + data.features.length, 0);
+    [['scenarios', scenarios.length], ['features', featureCount]].forEach(([source, count]) => {
+      const counter = document.querySelector(`[data-count-source="${source}"]`);
+      if (!counter) return;
+      counter.dataset.count = count;
+      // Counters that already ran jump straight to the real number
+      if (counter.textContent !== '0') counter.textContent = formatNumber(count);
+    });
+  }
+
+  // Cards carry listeners and reveal state, so a language switch rewrites
+  // their text in place instead of rendering them again
+  function relocalizeScenarioCatalog() {
+    scenarioCatalog.forEach(entry => {
+      const data = scenarioData[entry.id] = localizeScenario(entry);
+      const card = document.getElementById(`scenario-${data.id}`);
+      if (!card) return;
+      const setText = (selector, text) => {
+        const el = card.querySelector(selector);
+        if (el) el.textContent = text;
+      };
+      card.setAttribute('aria-label', t('View {title} details', { title: data.title }));
+      card.querySelector('.scenario-img').alt = data.alt;
+      setText('.scenario-expand-hint', t('Click to explore →'));
+      setText('.scenario-tag', data.tag);
+      if (data.year) setText('.scenario-year', t('Est. {year}', { year: data.year }));
+      setText('.scenario-title', data.title);
+      setText('.scenario-hook', data.hook);
+      card.querySelectorAll('.scenario-features li').forEach((li, i) => {
+        li.lastElementChild.textContent = data.features[i].text;
+      });
+      setText('.motif-label', t('Motif'));
+      setText('.motif-value', data.motif);
+    });
+    renderScenarioSummaries();
+  }
 
-        // Reset to visible
-        requestAnimationFrame(() => {
-          morphEl.classList.remove('morphing-in');
-        });
-      }, 400);
-    }, 4000);
+  function loadScenarioCatalog() {
+    fetch(SCENARIO_CATALOG_URL)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then(raw => {
+        renderScenarioCatalog(validateScenarioCatalog(raw));
+        scenarioCatalogReady = true;
+        scenarioReadyCallbacks.splice(0).forEach(callback => callback());
+      })
+      .catch(err => {
+        console.error('Could not load the scenario catalog:', err);
+        const list = document.getElementById('scenario-list');
+        if (list) list.innerHTML = `<p class="scenario-error">${escapeHTML(t('The city scenarios could not be loaded. Please refresh to try again.'))}</p>`;
+      });
   }
 
+  onLocaleChange(() => {
+    if (scenarioCatalogReady) relocalizeScenarioCatalog();
+  });
+
+  loadScenarioCatalog();
+
   // ------------------------------------------
   // Scenario Detail Modal
   // ------------------------------------------
-  const scenarioData = {
-    neon: {
-      title: 'Neon Metropolis',
-      tag: 'Cyberpunk',
-      tagClass: 'neon',
-      img: 'assets/images/neon-metropolis.png',
-      hook: 'Where light never sleeps and data flows like rivers through canyons of chrome and glass.',
-      motif: 'Vertical Infinity — towers stretching beyond the clouds',
-      features: [
-        { icon: '⚡', text: 'Quantum-mesh power grid — zero blackouts, zero waste' },
-        { icon: '🌐', text: 'Holographic overlay network with real-time city data' },
-        { icon: '🚀', text: 'Autonomous aerial transit — 3-minute commutes anywhere' },
-        { icon: '🛡️', text: 'AI-governed safety mesh with predictive incident response' }
-      ],
-      lore: 'Founded in 2057 by a consortium of tech megacorps, the Neon Metropolis rose from the bones of old-world cities. Every surface is a display. Every molecule of air is tracked. Privacy is a luxury commodity, but so is boredom — because in the Neon Metropolis, the city itself is alive, adapting to your mood, your movement, your heartbeat. The question isn\'t whether you can live here. It\'s whether you can ever leave.'
-    },
-    sky: {
-      title: 'Sky Citadel',
-      tag: 'Utopian',
-      tagClass: 'sky',
-      img: 'assets/images/sky-citadel.png',
-      hook: 'An archipelago of floating platforms where humanity touched the sky and decided to stay.',
-      motif: 'Eternal Sunrise — light cascading through crystal architecture',
-      features: [
-        { icon: '☁️', text: 'Anti-gravity foundation platforms — self-stabilizing at 3,000m' },
-        { icon: '🌿', text: 'Bioluminescent sky-gardens with atmospheric carbon capture' },
-        { icon: '🔗', text: 'Light-bridge transit connecting 47 floating districts' },
-        { icon: '🌅', text: 'Panoramic living — 360° horizon views from every residence' }
-      ],
-      lore: 'When the floods came, they didn\'t just retreat — they ascended. Using breakthrough anti-gravity lattice technology, the architects of the Sky Citadel engineered platforms that ride the atmosphere itself. Residents wake to sunrises below them. Children grow up knowing the horizon as a circle, not a line. It\'s humanity\'s boldest declaration: the ground was never meant to hold us.'
-    },
-    ocean: {
-      title: 'Ocean Depths',
-      tag: 'Aquatic',
-      tagClass: 'ocean',
-      img: 'assets/images/ocean-depths.png',
-      hook: 'Beneath the waves, pressure becomes possibility. A civilization thriving in Earth\'s last frontier.',
-      motif: 'Bioluminescent Pulse — living light guiding every path',
-      features: [
-        { icon: '🫧', text: 'Pressure-adaptive biodomes — seamless transition to 500m depth' },
-        { icon: '🐠', text: 'Symbiotic coral ecosystems integrated into city infrastructure' },
-        { icon: '🌊', text: 'Tidal energy converters powering entire city districts' },
-        { icon: '🔬', text: 'Deep-sea research labs with live marine observation decks' }
-      ],
-      lore: 'Marine biologist Dr. Yuki Tanaka once said: "We knew more about Mars than our own ocean floor." Ocean Depths changed that. Built at crushing depths using self-healing polymer domes, this city doesn\'t fight the ocean — it collaborates with it. Coral structures double as load-bearing walls. Bioluminescent organisms replace electricity in ambient lighting. Here, architecture breathes.'
-    },
-    mars: {
-      title: 'Mars Colony',
-      tag: 'Extraterrestrial',
-      tagClass: 'mars',
-      img: 'assets/images/mars-colony.png',
-      hook: 'Red dust. Green domes. The first human civilization on another world, proving we were always meant to wander.',
-      motif: 'Iron Horizon — rust and renewal under twin moons',
-      features: [
-        { icon: '🏗️', text: 'Regolith 3D-printed habitats — built from Martian soil itself' },
-        { icon: '☀️', text: 'Concentrated solar arrays with dust-resistant nanocoating' },
-        { icon: '🧬', text: 'Terraforming gardens — gene-edited flora for CO₂ conversion' },
-        { icon: '🚄', text: 'Hyperloop tunnel network connecting 12 colony domes' }
-      ],
-      lore: 'The first colonists arrived in 2071 — 142 souls crammed into three landers, carrying enough seeds to start a world. Five years later, the first Martian-born child took her first breath under an amber sky. The Mars Colony isn\'t just an outpost; it\'s proof that human stubbornness, when aimed at the stars, can move mountains — even ones on another planet.'
-    }
-  };
-
   const modal = document.getElementById('scenario-modal');
   const modalClose = document.getElementById('modal-close');
+  let modalScenario = null;
 
   function openScenarioModal(scenarioKey) {
     const data = scenarioData[scenarioKey];
     if (!data || !modal) return;
+    modalScenario = scenarioKey;
 
     document.getElementById('modal-img').src = data.img;
     document.getElementById('modal-img').alt = data.title;
     document.getElementById('modal-tag').textContent = data.tag;
-    document.getElementById('modal-tag').className = 'scenario-tag ' + data.tagClass;
+    document.getElementById('modal-tag').style.setProperty('--scenario-rgb', data.theme.rgb);
     document.getElementById('modal-title').textContent = data.title;
     document.getElementById('modal-hook').textContent = data.hook;
     document.getElementById('modal-motif-value').textContent = data.motif;
     document.getElementById('modal-lore').textContent = data.lore;
 
     const featuresList = document.getElementById('modal-features');
-    featuresList.innerHTML = data.features.map(f =>
-      `<li><span class="feature-icon">${f.icon}</span><span>${f.text}</span></li>`
-    ).join('');
+    featuresList.innerHTML = scenarioFeaturesHTML(data.features);
 
     modal.classList.add('active');
     modal.hidden = false;
     document.body.style.overflow = 'hidden';
+    pushRoute('#scenarios/' + scenarioKey);
 
-    // Configure button: scroll to configurator
+    // Configure button: scroll to configurator and glide into the preset
     const configBtn = document.getElementById('modal-configure-btn');
     configBtn.onclick = () => {
+      // The modal's history entry becomes the configurator's
+      replaceRoute('#configurator');
       closeModal();
       setTimeout(() => {
         document.getElementById('configurator').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        applyScenarioPreset(scenarioKey);
       }, 300);
     };
   }
 
   function closeModal() {
     if (!modal) return;
+    leaveOverlayRoute();
     modal.classList.remove('active');
     document.body.style.overflow = '';
-    setTimeout(() => { modal.hidden = true; }, 500);
+    // Back then Forward can reopen it before the fade ends
+    setTimeout(() => {
+      if (!modal.classList.contains('active')) modal.hidden = true;
+    }, 500);
   }
 
   if (modalClose) {
     modalClose.addEventListener('click', closeModal);
   }
 
+  onLocaleChange(() => {
+    if (modal && modal.classList.contains('active')) openScenarioModal(modalScenario);
+  });
+
   if (modal) {
     modal.addEventListener('click', (e) => {
       if (e.target === modal) closeModal();
@@ -1088,20 +5008,90 @@
   }
 
   // Make scenario cards clickable
-  document.querySelectorAll('.scenario-card.clickable').forEach(card => {
-    const handler = () => {
-      const key = card.dataset.scenario;
-      if (key) openScenarioModal(key);
-    };
-    card.addEventListener('click', handler);
-    card.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' || e.key === ' ') {
-        e.preventDefault();
-        handler();
-      }
+  onScenariosReady(() => {
+    document.querySelectorAll('.scenario-card.clickable').forEach(card => {
+      const handler = () => {
+        const key = card.dataset.scenario;
+        if (key) openScenarioModal(key);
+      };
+      card.addEventListener('click', handler);
+      card.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          handler();
+        }
+      });
     });
   });
 
+  // ------------------------------------------
+  // Scenario Presets
+  // ------------------------------------------
+  const PRESET_TWEEN_MS = 1200;
+  let activePreset = null; // { id, config } until the user diverges from it
+  let presetTween = null;
+
+  // Stops a running tween where it is; called when the user edits the config
+  function cancelPresetTween() {
+    if (!presetTween) return;
+    cancelAnimationFrame(presetTween);
+    presetTween = null;
+  }
+
+  // Enum inputs switch at once; sliders and the scores glide to the preset.
+  // The full preview (simulation, stress tests, scene) runs once at the end.
+  function applyScenarioPreset(scenarioKey) {
+    const data = scenarioData[scenarioKey];
+    if (!data || !data.preset) return;
+    cancelPresetTween();
+
+    const from = Object.assign({}, configState);
+    const to = data.preset;
+    ENUM_INPUTS.forEach(key => { configState[key] = to[key]; });
+    activePreset = { id: data.id, config: to };
+
+    const finish = () => {
+      presetTween = null;
+      Object.assign(configState, to);
+      syncConfigControls();
+      updatePreview();
+      recordHistory(() => t('Preset: {title}', { title: scenarioData[data.id].title }));
+    };
+    if (prefersReducedMotion) {
+      finish();
+      return;
+    }
+
+    syncConfigControls();
+    const start = performance.now();
+    const step = (now) => {
+      const progress = Math.min(1, (now - start) / PRESET_TWEEN_MS);
+      const eased = 1 - Math.pow(1 - progress, 3);
+      NUMERIC_INPUTS.forEach(key => {
+        configState[key] = Math.round(from[key] + (to[key] - from[key]) * eased);
+      });
+      if (progress < 1) {
+        syncSliderControls();
+        updateScorePreview();
+        presetTween = requestAnimationFrame(step);
+      } else {
+        finish();
+      }
+    };
+    presetTween = requestAnimationFrame(step);
+  }
+
+  // Called from updatePreview: drop the "based on" note once the config moves away
+  function refreshPresetBasis() {
+    const basisEl = document.getElementById('preview-basis');
+    if (activePreset && !presetTween && !isSameConfig(configState, activePreset.config)) {
+      activePreset = null;
+    }
+    if (!basisEl) return;
+    basisEl.hidden = !activePreset;
+    basisEl.textContent = activePreset ? t('Based on {title}', { title: scenarioData[activePreset.id].title }) : '';
+  }
+
   // ------------------------------------------
   // Compare Mode
   // ------------------------------------------
@@ -1111,11 +5101,16 @@
   const compareB = document.getElementById('compare-b');
   const compareGrid = document.getElementById('compare-grid');
 
+  function updateCompareToggle() {
+    if (!compareToggle || !comparePanel) return;
+    compareToggle.querySelector('span').textContent = comparePanel.hidden ? t('Compare Scenarios') : t('Hide Compare');
+  }
+
   if (compareToggle && comparePanel) {
     compareToggle.addEventListener('click', () => {
-      const isHidden = comparePanel.hidden;
-      comparePanel.hidden = !isHidden;
-      compareToggle.querySelector('span').textContent = isHidden ? 'Hide Compare' : 'Compare Scenarios';
+      comparePanel.hidden = !comparePanel.hidden;
+      updateCompareToggle();
+      syncCompareRoute();
     });
   }
 
@@ -1124,7 +5119,7 @@
     const a = compareA.value;
     const b = compareB.value;
     if (!a || !b || a === b) {
-      compareGrid.innerHTML = '<p style="grid-column:1/-1;text-align:center;color:var(--c-text-muted);font-size:var(--f-size-sm);">Select two different scenarios above to compare.</p>';
+      compareGrid.innerHTML = `<p style="grid-column:1/-1;text-align:center;color:var(--c-text-muted);font-size:var(--f-size-sm);">${escapeHTML(t('Select two different scenarios above to compare.'))}</p>`;
       return;
     }
     const dataA = scenarioData[a];
@@ -1132,28 +5127,425 @@
     if (!dataA || !dataB) return;
 
     compareGrid.innerHTML = [dataA, dataB].map(d => `
-      <div class="compare-card">
-        <span class="scenario-tag ${d.tagClass}" style="margin-bottom:var(--s-md);display:inline-block">${d.tag}</span>
-        <h4>${d.title}</h4>
-        <p style="font-size:var(--f-size-sm);color:var(--c-text-secondary);margin-bottom:var(--s-md);font-style:italic;line-height:1.6">${d.hook}</p>
+      <div class="compare-card" style="--scenario-rgb: ${d.theme.rgb}">
+        <span class="scenario-tag" style="margin-bottom:var(--s-md);display:inline-block">${escapeHTML(d.tag)}</span>
+        <h4>${escapeHTML(d.title)}</h4>
+        <p style="font-size:var(--f-size-sm);color:var(--c-text-secondary);margin-bottom:var(--s-md);font-style:italic;line-height:1.6">${escapeHTML(d.hook)}</p>
         <ul class="scenario-features">
-          ${d.features.map(f => `<li><span class="feature-icon">${f.icon}</span><span>${f.text}</span></li>`).join('')}
+          ${scenarioFeaturesHTML(d.features)}
         </ul>
       </div>
     `).join('');
   }
 
-  if (compareA) compareA.addEventListener('change', renderCompare);
-  if (compareB) compareB.addEventListener('change', renderCompare);
+  [compareA, compareB].forEach(select => {
+    if (!select) return;
+    select.addEventListener('change', () => {
+      renderCompare();
+      syncCompareRoute();
+    });
+  });
+
+  onLocaleChange(() => {
+    updateCompareToggle();
+    if (compareGrid && compareGrid.childElementCount) renderCompare();
+  });
+
+  // ------------------------------------------
+  // Hash Router
+  // ------------------------------------------
+  // Deep links for what the page is showing:
+  //   #configurator, #about, ...   a section
+  //   #scenarios/mars              a scenario's detail modal
+  //   #compare/neon-vs-ocean       the compare panel with a pair selected
+  // Modals and compare pairs are "overlay" routes: opening one pushes an
+  // entry, so Back closes it again without scrolling away. Share links
+  // (#city=...) are read by loadFromURL and left alone here.
+  const COMPARE_PAIR_SEPARATOR = '-vs-';
+  let currentRoute = parseRoute(window.location.hash);
+
+  // Returns { section, scenario?, compare? } or null for hashes that aren't routes
+  function parseRoute(hash) {
+    const [head, arg] = hash.replace(/^#/, '').split('/');
+    if (!head) return { section: 'hero' };
+    if (head === 'scenarios' && arg) return { section: 'scenarios', scenario: arg };
+    if (head === 'compare' && arg && arg.includes(COMPARE_PAIR_SEPARATOR)) {
+      const split = arg.indexOf(COMPARE_PAIR_SEPARATOR);
+      return { section: 'scenarios', compare: [arg.slice(0, split), arg.slice(split + COMPARE_PAIR_SEPARATOR.length)] };
+    }
+    if (!arg && /^[a-z-]+$/.test(head) && document.getElementById(head)) return { section: head };
+    return null;
+  }
+
+  function isOverlayRoute(route) {
+    return Boolean(route && (route.scenario || route.compare));
+  }
+
+  function pushRoute(hash) {
+    if (hash === window.location.hash) return;
+    currentRoute = parseRoute(hash);
+    history.pushState({ overlay: isOverlayRoute(currentRoute) }, '', hash);
+  }
+
+  // An overlay entry stays one only if it was pushed on top of another entry
+  function replaceRoute(hash) {
+    currentRoute = parseRoute(hash);
+    const pushed = Boolean(history.state && history.state.overlay);
+    history.replaceState({ overlay: pushed && isOverlayRoute(currentRoute) }, '', hash);
+  }
+
+  // Called when the user closes the modal or the compare panel
+  function leaveOverlayRoute() {
+    if (!isOverlayRoute(currentRoute)) return;
+    if (history.state && history.state.overlay) history.back();
+    else replaceRoute('#scenarios');
+  }
+
+  function compareRouteHash() {
+    const a = compareA.value;
+    const b = compareB.value;
+    return a && b && a !== b ? `#compare/${a}${COMPARE_PAIR_SEPARATOR}${b}` : '';
+  }
+
+  // Called from the compare toggle and selects. An incomplete pair keeps
+  // whatever route is current.
+  function syncCompareRoute() {
+    if (!comparePanel || !compareA || !compareB) return;
+    if (comparePanel.hidden) {
+      if (currentRoute && currentRoute.compare) leaveOverlayRoute();
+      return;
+    }
+    const hash = compareRouteHash();
+    if (!hash) return;
+    if (currentRoute && currentRoute.compare) replaceRoute(hash);
+    else pushRoute(hash);
+  }
+
+  function showComparePair(pair) {
+    if (!comparePanel || !compareA || !compareB) return;
+    comparePanel.hidden = false;
+    updateCompareToggle();
+    if (pair.every(id => scenarioData[id])) {
+      compareA.value = pair[0];
+      compareB.value = pair[1];
+    }
+    renderCompare();
+  }
+
+  // Brings the page in line with `route`; `previous` is the route it was on
+  // (null on first load). Closing an overlay leaves the scroll position alone,
+  // as does opening one over the section already in view.
+  function applyRoute(route, previous) {
+    currentRoute = route;
+
+    if (route && route.scenario && scenarioData[route.scenario]) {
+      openScenarioModal(route.scenario);
+    } else if (modal && modal.classList.contains('active')) {
+      closeModal();
+    }
+
+    if (route && route.compare) {
+      showComparePair(route.compare);
+    } else if (previous && previous.compare && comparePanel && !comparePanel.hidden) {
+      comparePanel.hidden = true;
+      updateCompareToggle();
+    }
+
+    const overlayClosing = isOverlayRoute(previous) && !isOverlayRoute(route);
+    if (route && !overlayClosing && (!previous || previous.section !== route.section || !isOverlayRoute(route))) {
+      const target = route.compare ? comparePanel : document.getElementById(route.section);
+      if (target) scrollToSection(target, previous ? 'smooth' : 'auto');
+    }
+  }
+
+  window.addEventListener('popstate', () => {
+    applyRoute(parseRoute(window.location.hash), currentRoute);
+  });
+
+  // Plain section hashes are scrolled to by the browser itself; overlays
+  // need the catalog, so they are restored once it has loaded
+  onScenariosReady(() => {
+    if (isOverlayRoute(currentRoute)) applyRoute(currentRoute, null);
+  });
 
   // ------------------------------------------
   // Ambient Sound (Web Audio API)
   // ------------------------------------------
+  // A persistent graph of layers whose levels and pitches follow the
+  // configured city. Every change ramps with setTargetAtTime so edits
+  // crossfade instead of clicking.
   const ambientToggle = document.getElementById('ambient-toggle');
   const ambientIcon = document.getElementById('ambient-icon');
   let audioCtx = null;
   let ambientPlaying = false;
-  let ambientNodes = [];
+  let ambientNodes = null;
+  let ambientSweepTimer = null;
+
+  // Tonal palette: drone at root, pad and shimmer as multiples of it, pad
+  // filter cutoff in Hz. Scenarios may override it in the catalog ("sound").
+  const DEFAULT_SOUND_PALETTE = { root: 55, pad: 4, shimmer: 16, cutoff: 400 };
+  const AMBIENT_FADE = 0.8; // setTargetAtTime time constant, seconds
+  let soundPalette = DEFAULT_SOUND_PALETTE;
+
+  // Listener preferences, remembered across visits
+  const AUDIO_PREFS_STORAGE_KEY = 'futurecities:audio';
+  const AUDIO_LAYERS = ['drone', 'pad', 'shimmer', 'city'];
+  const DEFAULT_AUDIO_PREFS = { enabled: false, volume: 0.8, mix: { drone: 1, pad: 1, shimmer: 1, city: 1 } };
+
+  function loadAudioPrefs() {
+    const prefs = { enabled: false, volume: DEFAULT_AUDIO_PREFS.volume, mix: Object.assign({}, DEFAULT_AUDIO_PREFS.mix) };
+    const level = value => (Number.isFinite(value) && value >= 0 && value <= 1 ? value : null);
+    try {
+      const stored = JSON.parse(localStorage.getItem(AUDIO_PREFS_STORAGE_KEY));
+      if (!stored || typeof stored !== 'object') return prefs;
+      prefs.enabled = stored.enabled === true;
+      if (level(stored.volume) !== null) prefs.volume = stored.volume;
+      AUDIO_LAYERS.forEach(name => {
+        if (stored.mix && level(stored.mix[name]) !== null) prefs.mix[name] = stored.mix[name];
+      });
+    } catch (e) {
+      // Unreadable preferences: fall back to defaults
+    }
+    return prefs;
+  }
+
+  function saveAudioPrefs() {
+    try {
+      localStorage.setItem(AUDIO_PREFS_STORAGE_KEY, JSON.stringify(audioPrefs));
+    } catch (e) {
+      // Storage unavailable: preferences last for this visit only
+    }
+  }
+
+  const audioPrefs = loadAudioPrefs();
+
+  function createNoiseBuffer() {
+    const buffer = audioCtx.createBuffer(1, audioCtx.sampleRate * 2, audioCtx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    return buffer;
+  }
+
+  function createNoiseSource(buffer) {
+    const source = audioCtx.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    return source;
+  }
+
+  function createLFO(rate, depth, target) {
+    const lfo = audioCtx.createOscillator();
+    const lfoGain = audioCtx.createGain();
+    lfo.frequency.value = rate;
+    lfoGain.gain.value = depth;
+    lfo.connect(lfoGain);
+    lfoGain.connect(target);
+    return { lfo, lfoGain };
+  }
+
+  function buildAmbientGraph() {
+    const master = audioCtx.createGain();
+    master.gain.value = 0;
+    master.connect(audioCtx.destination);
+    // One bus per mixer channel in the audio settings
+    const buses = {};
+    AUDIO_LAYERS.forEach(name => {
+      buses[name] = audioCtx.createGain();
+      buses[name].gain.value = audioPrefs.mix[name];
+      buses[name].connect(master);
+    });
+    const noise = createNoiseBuffer();
+    const sources = [];
+    const layer = (bus, level = 0) => {
+      const gain = audioCtx.createGain();
+      gain.gain.value = level;
+      gain.connect(buses[bus]);
+      return gain;
+    };
+
+    // Deep drone
+    const drone = audioCtx.createOscillator();
+    const droneGain = layer('drone', 0.06);
+    drone.type = 'sine';
+    drone.connect(droneGain);
+
+    // Ethereal pad, slowly wandering in pitch
+    const pad = audioCtx.createOscillator();
+    const padFilter = audioCtx.createBiquadFilter();
+    const padGain = layer('pad', 0.025);
+    pad.type = 'triangle';
+    padFilter.type = 'lowpass';
+    padFilter.Q.value = 5;
+    pad.connect(padFilter);
+    padFilter.connect(padGain);
+    const padLFO = createLFO(0.1, 15, pad.frequency);
+
+    // Very subtle high shimmer
+    const shimmer = audioCtx.createOscillator();
+    const shimmerGain = layer('shimmer', 0.008);
+    shimmer.type = 'sine';
+    shimmer.connect(shimmerGain);
+
+    // Crowd: band-passed noise with a murmur that speeds up with density
+    const crowd = createNoiseSource(noise);
+    const crowdFilter = audioCtx.createBiquadFilter();
+    const crowdMurmur = audioCtx.createGain();
+    const crowdGain = layer('city');
+    crowdFilter.type = 'bandpass';
+    crowdFilter.frequency.value = 900;
+    crowdFilter.Q.value = 0.7;
+    crowdMurmur.gain.value = 0.6;
+    crowd.connect(crowdFilter);
+    crowdFilter.connect(crowdMurmur);
+    crowdMurmur.connect(crowdGain);
+    const crowdLFO = createLFO(0.5, 0.4, crowdMurmur.gain);
+
+    // Energy motifs — all run continuously, only the active one is audible
+    const wind = createNoiseSource(noise);
+    const windFilter = audioCtx.createBiquadFilter();
+    windFilter.type = 'lowpass';
+    windFilter.frequency.value = 600;
+    wind.connect(windFilter);
+    const windLFO = createLFO(0.15, 400, windFilter.frequency);
+
+    const fusion = audioCtx.createOscillator();
+    const fusionFilter = audioCtx.createBiquadFilter();
+    fusion.type = 'sawtooth';
+    fusionFilter.type = 'lowpass';
+    fusionFilter.frequency.value = 180;
+    fusion.connect(fusionFilter);
+
+    const tidal = createNoiseSource(noise);
+    const tidalFilter = audioCtx.createBiquadFilter();
+    const tidalSwell = audioCtx.createGain();
+    tidalFilter.type = 'lowpass';
+    tidalFilter.frequency.value = 320;
+    tidalSwell.gain.value = 0.5;
+    tidal.connect(tidalFilter);
+    tidalFilter.connect(tidalSwell);
+    const tidalLFO = createLFO(0.08, 0.5, tidalSwell.gain);
+
+    const solar = audioCtx.createOscillator();
+    const solarTremolo = audioCtx.createGain();
+    solar.type = 'sine';
+    solarTremolo.gain.value = 0.5;
+    solar.connect(solarTremolo);
+    const solarLFO = createLFO(4, 0.5, solarTremolo.gain);
+
+    const motifs = { wind: layer('city'), fusion: layer('city'), tidal: layer('city'), solar: layer('city') };
+    windFilter.connect(motifs.wind);
+    fusionFilter.connect(motifs.fusion);
+    tidalSwell.connect(motifs.tidal);
+    solarTremolo.connect(motifs.solar);
+
+    sources.push(drone, pad, shimmer, crowd, wind, fusion, tidal, solar,
+      padLFO.lfo, crowdLFO.lfo, windLFO.lfo, tidalLFO.lfo, solarLFO.lfo);
+    sources.forEach(source => source.start());
+
+    return {
+      master, buses, noise, sources,
+      drone, pad, padFilter, shimmer, fusion, solar,
+      crowdGain, crowdLFO, motifs
+    };
+  }
+
+  function rampTo(param, value, timeConstant = AMBIENT_FADE) {
+    param.setTargetAtTime(value, audioCtx.currentTime, timeConstant);
+  }
+
+  // Pushes configState and the current palette into the running graph
+  function updateAmbientMix() {
+    if (!ambientNodes) return;
+    const n = ambientNodes;
+    const p = soundPalette;
+    const density = configState.population / 100;
+
+    rampTo(n.drone.frequency, p.root);
+    rampTo(n.pad.frequency, p.root * p.pad);
+    rampTo(n.padFilter.frequency, p.cutoff);
+    rampTo(n.shimmer.frequency, p.root * p.shimmer);
+    rampTo(n.fusion.frequency, p.root);
+    rampTo(n.solar.frequency, p.root * p.shimmer * 1.5);
+
+    rampTo(n.crowdGain.gain, 0.002 + density * 0.02);
+    rampTo(n.crowdLFO.lfo.frequency, 0.3 + density * 2.2);
+
+    const motifLevels = { wind: 0.03, fusion: 0.012, tidal: 0.05, solar: 0.004 };
+    Object.keys(n.motifs).forEach(key => {
+      rampTo(n.motifs[key].gain, key === configState.energy ? motifLevels[key] : 0);
+    });
+  }
+
+  // One passing vehicle for the configured transport mode
+  function playTransportSweep() {
+    if (!ambientNodes) return;
+    const now = audioCtx.currentTime;
+    const out = audioCtx.createGain();
+    const panner = audioCtx.createStereoPanner ? audioCtx.createStereoPanner() : null;
+    const direction = Math.random() < 0.5 ? -1 : 1;
+    out.gain.value = 0;
+    if (panner) {
+      out.connect(panner);
+      panner.connect(ambientNodes.buses.city);
+    } else {
+      out.connect(ambientNodes.buses.city);
+    }
+
+    let source;
+    let duration;
+    if (configState.transport === 'hyperloop') {
+      // Filtered rush that sweeps up and back down as the capsule passes
+      duration = 1.6;
+      source = createNoiseSource(ambientNodes.noise);
+      const filter = audioCtx.createBiquadFilter();
+      filter.type = 'bandpass';
+      filter.Q.value = 2;
+      filter.frequency.setValueAtTime(300, now);
+      filter.frequency.exponentialRampToValueAtTime(2800, now + duration / 2);
+      filter.frequency.exponentialRampToValueAtTime(300, now + duration);
+      source.connect(filter);
+      filter.connect(out);
+      out.gain.linearRampToValueAtTime(0.05, now + duration / 2);
+    } else if (configState.transport === 'aerial') {
+      // Rotor drone with a Doppler drop in pitch
+      duration = 2.6;
+      source = audioCtx.createOscillator();
+      const filter = audioCtx.createBiquadFilter();
+      source.type = 'sawtooth';
+      source.frequency.setValueAtTime(150, now);
+      source.frequency.linearRampToValueAtTime(110, now + duration);
+      filter.type = 'lowpass';
+      filter.frequency.value = 700;
+      source.connect(filter);
+      filter.connect(out);
+      out.gain.linearRampToValueAtTime(0.012, now + duration / 2);
+    } else {
+      // Teleport: a quick rising chirp
+      duration = 0.5;
+      source = audioCtx.createOscillator();
+      source.type = 'sine';
+      source.frequency.setValueAtTime(400, now);
+      source.frequency.exponentialRampToValueAtTime(2400, now + duration);
+      source.connect(out);
+      out.gain.linearRampToValueAtTime(0.015, now + 0.05);
+    }
+    out.gain.linearRampToValueAtTime(0, now + duration);
+    if (panner) {
+      panner.pan.setValueAtTime(-direction, now);
+      panner.pan.linearRampToValueAtTime(direction, now + duration);
+    }
+    source.start(now);
+    source.stop(now + duration + 0.1);
+  }
+
+  // Busier cities get more frequent traffic
+  function scheduleTransportSweep() {
+    const wait = (12 - configState.population / 100 * 8) * (0.7 + Math.random() * 0.6);
+    ambientSweepTimer = setTimeout(() => {
+      playTransportSweep();
+      scheduleTransportSweep();
+    }, wait * 1000);
+  }
 
   function startAmbientSound() {
     if (!audioCtx) {
@@ -1163,95 +5555,256 @@
       audioCtx.resume();
     }
 
-    // Deep drone
-    const osc1 = audioCtx.createOscillator();
-    const gain1 = audioCtx.createGain();
-    osc1.type = 'sine';
-    osc1.frequency.value = 55; // Low A
-    gain1.gain.value = 0;
-    gain1.gain.linearRampToValueAtTime(0.06, audioCtx.currentTime + 2);
-    osc1.connect(gain1);
-    gain1.connect(audioCtx.destination);
-    osc1.start();
-
-    // Ethereal pad
-    const osc2 = audioCtx.createOscillator();
-    const gain2 = audioCtx.createGain();
-    const filter = audioCtx.createBiquadFilter();
-    osc2.type = 'triangle';
-    osc2.frequency.value = 220;
-    filter.type = 'lowpass';
-    filter.frequency.value = 400;
-    filter.Q.value = 5;
-    gain2.gain.value = 0;
-    gain2.gain.linearRampToValueAtTime(0.025, audioCtx.currentTime + 3);
-    osc2.connect(filter);
-    filter.connect(gain2);
-    gain2.connect(audioCtx.destination);
-    osc2.start();
-
-    // Very subtle high shimmer
-    const osc3 = audioCtx.createOscillator();
-    const gain3 = audioCtx.createGain();
-    osc3.type = 'sine';
-    osc3.frequency.value = 880;
-    gain3.gain.value = 0;
-    gain3.gain.linearRampToValueAtTime(0.008, audioCtx.currentTime + 4);
-    osc3.connect(gain3);
-    gain3.connect(audioCtx.destination);
-    osc3.start();
-
-    // Slow LFO on pad frequency for movement
-    const lfo = audioCtx.createOscillator();
-    const lfoGain = audioCtx.createGain();
-    lfo.type = 'sine';
-    lfo.frequency.value = 0.1; // Very slow
-    lfoGain.gain.value = 15;
-    lfo.connect(lfoGain);
-    lfoGain.connect(osc2.frequency);
-    lfo.start();
-
-    ambientNodes = [
-      { osc: osc1, gain: gain1 },
-      { osc: osc2, gain: gain2 },
-      { osc: osc3, gain: gain3 },
-      { osc: lfo, gain: lfoGain }
-    ];
+    ambientNodes = buildAmbientGraph();
+    updateAmbientMix();
+    ambientNodes.master.gain.linearRampToValueAtTime(audioPrefs.volume, audioCtx.currentTime + 2);
+    scheduleTransportSweep();
   }
 
   function stopAmbientSound() {
-    ambientNodes.forEach(n => {
-      try {
-        n.gain.gain.linearRampToValueAtTime(0, audioCtx.currentTime + 1);
-        setTimeout(() => { try { n.osc.stop(); } catch (e) { } }, 1200);
-      } catch (e) { }
-    });
-    ambientNodes = [];
+    clearTimeout(ambientSweepTimer);
+    if (!ambientNodes) return;
+    const { master, sources } = ambientNodes;
+    try {
+      master.gain.cancelScheduledValues(audioCtx.currentTime);
+      master.gain.setValueAtTime(master.gain.value, audioCtx.currentTime);
+      master.gain.linearRampToValueAtTime(0, audioCtx.currentTime + 1);
+      const ctx = audioCtx;
+      setTimeout(() => {
+        sources.forEach(source => { try { source.stop(); } catch (e) { } });
+        master.disconnect();
+        // Release the audio device unless sound was switched back on meanwhile
+        if (!ambientNodes && !skylineVoice && audioCtx === ctx) {
+          audioCtx = null;
+          ctx.close();
+        }
+      }, 1200);
+    } catch (e) { }
+    ambientNodes = null;
+  }
+
+  // Called from updateTheme with the scenario in view ('' for none)
+  function setAmbientPalette(scenarioKey) {
+    const data = scenarioData[scenarioKey];
+    soundPalette = (data && data.sound) || DEFAULT_SOUND_PALETTE;
+    updateAmbientMix();
+  }
+
+  function setAmbientPlaying(playing) {
+    ambientPlaying = playing;
+    audioPrefs.enabled = playing;
+    saveAudioPrefs();
+    if (playing) {
+      if (!document.hidden) startAmbientSound();
+    } else {
+      stopAmbientSound();
+    }
+    if (ambientToggle) {
+      ambientToggle.classList.toggle('active', playing);
+      ambientIcon.textContent = playing ? '🔊' : '🔇';
+    }
   }
 
   if (ambientToggle) {
     ambientToggle.addEventListener('click', () => {
-      ambientPlaying = !ambientPlaying;
-      if (ambientPlaying) {
-        startAmbientSound();
-        ambientToggle.classList.add('active');
-        ambientIcon.textContent = '🔊';
-        showToast('Ambient city sounds enabled');
-      } else {
-        stopAmbientSound();
-        ambientToggle.classList.remove('active');
-        ambientIcon.textContent = '🔇';
-        showToast('Ambient sounds muted');
+      setAmbientPlaying(!ambientPlaying);
+      showToast(ambientPlaying ? t('Ambient city sounds enabled') : t('Ambient sounds muted'));
+    });
+  }
+
+  // Sound was on last visit: browsers only allow audio after a user
+  // gesture, so show it as on and start on the first interaction.
+  if (audioPrefs.enabled && ambientToggle) {
+    ambientPlaying = true;
+    ambientToggle.classList.add('active');
+    ambientIcon.textContent = '🔊';
+    const resumeOnGesture = (e) => {
+      if (ambientToggle.contains(e.target)) return; // The toggle click decides for itself
+      document.removeEventListener('pointerdown', resumeOnGesture);
+      document.removeEventListener('keydown', resumeOnGesture);
+      if (ambientPlaying && !ambientNodes && !document.hidden) startAmbientSound();
+    };
+    document.addEventListener('pointerdown', resumeOnGesture);
+    document.addEventListener('keydown', resumeOnGesture);
+  }
+
+  // Auto-mute while the tab is hidden
+  document.addEventListener('visibilitychange', () => {
+    if (!ambientNodes || !audioCtx) return;
+    if (document.hidden) {
+      clearTimeout(ambientSweepTimer);
+      rampTo(ambientNodes.master.gain, 0, 0.1);
+      setTimeout(() => { if (document.hidden && audioCtx) audioCtx.suspend(); }, 400);
+    } else {
+      audioCtx.resume();
+      rampTo(ambientNodes.master.gain, audioPrefs.volume, 0.3);
+      scheduleTransportSweep();
+    }
+  });
+
+  // Audio settings popover: master volume and per-layer mix
+  const audioSettingsBtn = document.getElementById('audio-settings-btn');
+  const audioSettings = document.getElementById('audio-settings');
+  const audioVolume = document.getElementById('audio-volume');
+
+  function setAudioSettingsOpen(open) {
+    if (!audioSettings) return;
+    audioSettings.hidden = !open;
+    audioSettingsBtn.setAttribute('aria-expanded', open);
+  }
+
+  function syncAudioSettings() {
+    if (!audioSettings) return;
+    const show = (input, value) => {
+      input.value = Math.round(value * 100);
+      input.nextElementSibling.textContent = Math.round(value * 100) + '%';
+    };
+    show(audioVolume, audioPrefs.volume);
+    audioSettings.querySelectorAll('[data-audio-layer]').forEach(input => {
+      show(input, audioPrefs.mix[input.dataset.audioLayer]);
+    });
+  }
+
+  if (audioSettingsBtn && audioSettings) {
+    syncAudioSettings();
+    audioSettingsBtn.addEventListener('click', () => setAudioSettingsOpen(audioSettings.hidden));
+    audioSettings.addEventListener('input', (e) => {
+      const input = e.target;
+      const value = parseInt(input.value, 10) / 100;
+      input.nextElementSibling.textContent = input.value + '%';
+      if (input === audioVolume) {
+        audioPrefs.volume = value;
+        if (ambientNodes && !document.hidden) rampTo(ambientNodes.master.gain, value, 0.05);
+      } else if (input.dataset.audioLayer) {
+        audioPrefs.mix[input.dataset.audioLayer] = value;
+        if (ambientNodes) rampTo(ambientNodes.buses[input.dataset.audioLayer].gain, value, 0.05);
+      }
+    });
+    audioSettings.addEventListener('change', saveAudioPrefs);
+    document.addEventListener('click', (e) => {
+      if (!audioSettings.hidden && !audioSettings.contains(e.target) && !audioSettingsBtn.contains(e.target)) {
+        setAudioSettingsOpen(false);
+      }
+    });
+  }
+
+  // ------------------------------------------
+  // Skyline Sonification
+  // ------------------------------------------
+  // Plays the skyline west to east: one tone per tower, pitch rising with
+  // height over three octaves and panned to where the tower stands. Antennas
+  // add a short high blip. Shares audioCtx and the volume with ambient sound.
+  const SONIFY_STEP = 0.18; // Seconds per tower
+  const SONIFY_BASE = 220; // Hz for a tower of zero height
+  const cityListenBtn = document.getElementById('city-listen-btn');
+  let skylineVoice = null;
+
+  function stopSkylineSonification() {
+    if (!skylineVoice) return;
+    const { ctx, out, timer } = skylineVoice;
+    clearTimeout(timer);
+    skylineVoice = null;
+    out.gain.cancelScheduledValues(ctx.currentTime);
+    out.gain.setTargetAtTime(0, ctx.currentTime, 0.05);
+    setTimeout(() => {
+      out.disconnect();
+      // Release the audio device unless ambient sound or a new playback uses it
+      if (!ambientNodes && !skylineVoice && audioCtx === ctx) {
+        audioCtx = null;
+        ctx.close();
+      }
+    }, 300);
+    setListenButton(false);
+  }
+
+  function setListenButton(playing) {
+    if (!cityListenBtn) return;
+    cityListenBtn.setAttribute('aria-pressed', playing);
+    cityListenBtn.textContent = playing ? t('■ Stop') : t('♫ Hear skyline');
+  }
+
+  function playSkylineSonification() {
+    if (!audioCtx) {
+      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    if (audioCtx.state === 'suspended') {
+      audioCtx.resume();
+    }
+    const ctx = audioCtx;
+    const model = generateCityModel(displayedState(), renderSeed);
+    const towers = model.buildings.slice().sort((a, b) => a.x - b.x);
+    const out = ctx.createGain();
+    out.gain.value = audioPrefs.volume * 0.3;
+    out.connect(ctx.destination);
+    const start = ctx.currentTime + 0.05;
+
+    towers.forEach((tower, i) => {
+      const at = start + i * SONIFY_STEP;
+      const freq = SONIFY_BASE * 2 ** (3 * tower.height / model.groundY);
+      const pan = ctx.createStereoPanner ? ctx.createStereoPanner() : null;
+      const dest = pan || out;
+      if (pan) {
+        pan.pan.value = ((tower.x + tower.width / 2) / model.width) * 2 - 1;
+        pan.connect(out);
+      }
+
+      const tone = ctx.createOscillator();
+      const env = ctx.createGain();
+      tone.type = 'triangle';
+      tone.frequency.value = freq;
+      env.gain.setValueAtTime(0, at);
+      env.gain.linearRampToValueAtTime(1, at + 0.02);
+      env.gain.exponentialRampToValueAtTime(0.001, at + SONIFY_STEP * 0.9);
+      tone.connect(env);
+      env.connect(dest);
+      tone.start(at);
+      tone.stop(at + SONIFY_STEP);
+
+      if (tower.antenna) {
+        const blip = ctx.createOscillator();
+        const blipEnv = ctx.createGain();
+        blip.type = 'sine';
+        blip.frequency.value = freq * 2;
+        blipEnv.gain.setValueAtTime(0, at + SONIFY_STEP * 0.5);
+        blipEnv.gain.linearRampToValueAtTime(0.3, at + SONIFY_STEP * 0.55);
+        blipEnv.gain.exponentialRampToValueAtTime(0.001, at + SONIFY_STEP * 0.85);
+        blip.connect(blipEnv);
+        blipEnv.connect(dest);
+        blip.start(at + SONIFY_STEP * 0.5);
+        blip.stop(at + SONIFY_STEP);
       }
     });
+
+    skylineVoice = {
+      ctx,
+      out,
+      timer: setTimeout(stopSkylineSonification, (towers.length * SONIFY_STEP + 0.2) * 1000)
+    };
+    setListenButton(true);
+  }
+
+  if (cityListenBtn) {
+    cityListenBtn.addEventListener('click', () => {
+      if (skylineVoice) stopSkylineSonification();
+      else playSkylineSonification();
+    });    onLocaleChange(() => setListenButton(Boolean(skylineVoice)));
   }
 
   // ------------------------------------------
   // Scenario Card Parallax (subtle)
   // ------------------------------------------
   if (!prefersReducedMotion) {
-    const scenarioCards = document.querySelectorAll('.scenario-card');
+    let scenarioCards = [];
+    onScenariosReady(() => { scenarioCards = document.querySelectorAll('.scenario-card'); });
+    onEffectsChange((profile) => {
+      if (profile.parallax) return;
+      scenarioCards.forEach(card => {
+        const img = card.querySelector('.scenario-img');
+        if (img) img.style.transform = '';
+      });
+    });
     window.addEventListener('scroll', throttle(() => {
+      if (!effectsProfile().parallax) return;
       scenarioCards.forEach(card => {
         const rect = card.getBoundingClientRect();
         const centerY = rect.top + rect.height / 2;
@@ -1273,6 +5826,9 @@
     if (e.key === 'Escape') {
       if (modal && modal.classList.contains('active')) {
         closeModal();
+      } else if (audioSettings && !audioSettings.hidden) {
+        setAudioSettingsOpen(false);
+        audioSettingsBtn.focus();
       } else if (navLinks.classList.contains('open')) {
         navLinks.classList.remove('open');
         navToggle.classList.remove('active');
@@ -1286,7 +5842,6 @@
   // Performance: Lazy-load observer for images
   // ------------------------------------------
   if ('IntersectionObserver' in window) {
-    const lazyImages = document.querySelectorAll('img[loading="lazy"]');
     const imgObserver = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
@@ -1300,11 +5855,20 @@
       });
     }, { rootMargin: '200px' });
 
-    lazyImages.forEach(img => imgObserver.observe(img));
+    // The lazy images are the generated scenario card images
+    onScenariosReady(() => {
+      document.querySelectorAll('img[loading="lazy"]').forEach(img => imgObserver.observe(img));
+    });
   }
 
   // Initial preview update
+  resetHistory(() => t('Initial city'));
   updatePreview();
+  onLocaleChange(updatePreview);
+
+  // The markup is English; switch once the stored language's bundle arrives
+  const initialLocale = storedLocale();
+  if (initialLocale !== DEFAULT_LOCALE) setLocale(initialLocale, false);
 
   // ------------------------------------------
   // #6 — DYNAMIC SECTION THEMING
@@ -1315,71 +5879,65 @@
   themeGlow.setAttribute('aria-hidden', 'true');
   document.body.insertBefore(themeGlow, document.body.firstChild);
 
-  const themeColors = {
-    neon: {
-      glow: 'radial-gradient(ellipse at 50% 40%, rgba(0,240,255,0.07) 0%, rgba(168,85,247,0.03) 40%, transparent 70%)',
-      accent: '#00f0ff'
-    },
-    sky: {
-      glow: 'radial-gradient(ellipse at 50% 40%, rgba(167,139,250,0.07) 0%, rgba(192,132,252,0.03) 40%, transparent 70%)',
-      accent: '#a78bfa'
-    },
-    ocean: {
-      glow: 'radial-gradient(ellipse at 50% 40%, rgba(34,211,238,0.07) 0%, rgba(6,182,212,0.03) 40%, transparent 70%)',
-      accent: '#22d3ee'
-    },
-    mars: {
-      glow: 'radial-gradient(ellipse at 50% 40%, rgba(251,146,60,0.07) 0%, rgba(249,115,22,0.03) 40%, transparent 70%)',
-      accent: '#fb923c'
-    }
-  };
-
   let currentTheme = '';
 
   function updateTheme(scenarioKey) {
     if (scenarioKey === currentTheme) return;
     currentTheme = scenarioKey;
+    setAmbientPalette(scenarioKey);
 
-    const theme = themeColors[scenarioKey];
-    if (theme) {
+    const data = scenarioData[scenarioKey];
+    if (data) {
+      const theme = data.theme;
       document.body.setAttribute('data-theme', scenarioKey);
-      themeGlow.style.background = theme.glow;
+      document.body.style.setProperty('--theme-accent', theme.accent);
+      document.body.style.setProperty('--theme-secondary', theme.secondary);
+      document.body.style.setProperty('--theme-highlight', theme.highlight);
+      document.body.style.setProperty('--theme-rgb', theme.rgb);
+      themeGlow.style.background = `radial-gradient(ellipse at 50% 40%, rgba(${theme.rgb},0.07) 0%, rgba(${hexToRgb(theme.secondary)},0.03) 40%, transparent 70%)`;
       themeGlow.classList.add('active');
 
       // Update cursor glow color
       if (cursorGlow) {
         cursorGlow.style.background = `radial-gradient(circle, ${theme.accent}18 0%, transparent 70%)`;
       }
+      setParticlePalette(theme);
     } else {
       document.body.removeAttribute('data-theme');
+      ['--theme-accent', '--theme-secondary', '--theme-highlight', '--theme-rgb'].forEach(prop => {
+        document.body.style.removeProperty(prop);
+      });
       themeGlow.classList.remove('active');
 
       // Reset cursor glow
       if (cursorGlow) {
         cursorGlow.style.background = '';
       }
+      setParticlePalette(null);
     }
   }
 
   // Observe which scenario card is in prominent view
-  const scenarioEls = document.querySelectorAll('.scenario-card[data-scenario]');
-  if (scenarioEls.length) {
-    const themeObserver = new IntersectionObserver((entries) => {
-      let bestEntry = null;
-      let bestRatio = 0;
-      entries.forEach(entry => {
-        if (entry.isIntersecting && entry.intersectionRatio > bestRatio) {
-          bestRatio = entry.intersectionRatio;
-          bestEntry = entry;
+  onScenariosReady(() => {
+    const scenarioEls = document.querySelectorAll('.scenario-card[data-scenario]');
+    if (scenarioEls.length) {
+      const themeObserver = new IntersectionObserver((entries) => {
+        let bestEntry = null;
+        let bestRatio = 0;
+        entries.forEach(entry => {
+          if (entry.isIntersecting && entry.intersectionRatio > bestRatio) {
+            bestRatio = entry.intersectionRatio;
+            bestEntry = entry;
+          }
+        });
+        if (bestEntry && bestRatio > 0.25) {
+          updateTheme(bestEntry.target.dataset.scenario);
         }
-      });
-      if (bestEntry && bestRatio > 0.25) {
-        updateTheme(bestEntry.target.dataset.scenario);
-      }
-    }, { threshold: [0.1, 0.25, 0.4, 0.6, 0.8] });
+      }, { threshold: [0.1, 0.25, 0.4, 0.6, 0.8] });
 
-    scenarioEls.forEach(el => themeObserver.observe(el));
-  }
+      scenarioEls.forEach(el => themeObserver.observe(el));
+    }
+  });
 
   // Reset theme when scrolled past scenarios section
   const scenariosSectionEl = document.getElementById('scenarios');
@@ -1397,105 +5955,110 @@
   // ------------------------------------------
   // #4 — 3D HOLOGRAPHIC CARDS
   // ------------------------------------------
-  if (!prefersReducedMotion && window.matchMedia('(hover: hover)').matches) {
-    document.querySelectorAll('.scenario-card.clickable').forEach(card => {
-      const visual = card.querySelector('.scenario-visual');
-      if (!visual) return;
-
-      // Create glare element dynamically
-      const glare = document.createElement('div');
-      glare.className = 'card-glare';
-      glare.setAttribute('aria-hidden', 'true');
-      visual.appendChild(glare);
-
-      let rafId = null;
-
-      card.addEventListener('mousemove', (e) => {
-        if (rafId) cancelAnimationFrame(rafId);
-
-        rafId = requestAnimationFrame(() => {
-          const rect = visual.getBoundingClientRect();
-          const x = (e.clientX - rect.left) / rect.width;  // 0..1
-          const y = (e.clientY - rect.top) / rect.height;   // 0..1
-
-          // Calculate rotation based on cursor position
-          const rotateY = (x - 0.5) * 10;   // ±5 degrees
-          const rotateX = (0.5 - y) * 8;     // ±4 degrees
-
-          visual.style.transform =
-            `perspective(1200px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) scale(1.02)`;
-
-          // Move glare spot to follow cursor
-          glare.style.background =
-            `radial-gradient(circle at ${x * 100}% ${y * 100}%, rgba(255,255,255,0.18) 0%, rgba(255,255,255,0.05) 30%, transparent 60%)`;
+  onScenariosReady(() => {
+    if (!prefersReducedMotion && window.matchMedia('(hover: hover)').matches) {
+      document.querySelectorAll('.scenario-card.clickable').forEach(card => {
+        const visual = card.querySelector('.scenario-visual');
+        if (!visual) return;
+
+        // Create glare element dynamically
+        const glare = document.createElement('div');
+        glare.className = 'card-glare';
+        glare.setAttribute('aria-hidden', 'true');
+        visual.appendChild(glare);
+
+        let rafId = null;
+
+        card.addEventListener('mousemove', (e) => {
+          if (rafId) cancelAnimationFrame(rafId);
+          if (!effectsProfile().parallax) return;
+
+          rafId = requestAnimationFrame(() => {
+            const rect = visual.getBoundingClientRect();
+            const x = (e.clientX - rect.left) / rect.width;  // 0..1
+            const y = (e.clientY - rect.top) / rect.height;   // 0..1
+
+            // Calculate rotation based on cursor position
+            const rotateY = (x - 0.5) * 10;   // ±5 degrees
+            const rotateX = (0.5 - y) * 8;     // ±4 degrees
+
+            visual.style.transform =
+              `perspective(1200px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) scale(1.02)`;
+
+            // Move glare spot to follow cursor
+            glare.style.background =
+              `radial-gradient(circle at ${x * 100}% ${y * 100}%, rgba(255,255,255,0.18) 0%, rgba(255,255,255,0.05) 30%, transparent 60%)`;
+          });
         });
-      });
 
-      card.addEventListener('mouseleave', () => {
-        if (rafId) cancelAnimationFrame(rafId);
-        // Smooth reset
-        visual.style.transition = 'transform 0.5s cubic-bezier(0.16, 1, 0.3, 1)';
-        visual.style.transform = '';
-        glare.style.background = '';
+        card.addEventListener('mouseleave', () => {
+          if (rafId) cancelAnimationFrame(rafId);
+          // Smooth reset
+          visual.style.transition = 'transform 0.5s cubic-bezier(0.16, 1, 0.3, 1)';
+          visual.style.transform = '';
+          glare.style.background = '';
 
-        setTimeout(() => {
-          visual.style.transition = 'transform 0.15s ease-out, box-shadow 0.3s ease';
-        }, 500);
+          setTimeout(() => {
+            visual.style.transition = 'transform 0.15s ease-out, box-shadow 0.3s ease';
+          }, 500);
+        });
       });
-    });
-  }
+    }
+  });
 
   // ------------------------------------------
   // #2 — SCROLLYTELLING: Stagger Reveal
   // ------------------------------------------
-  if (!prefersReducedMotion) {
-    document.querySelectorAll('.scenario-card').forEach(card => {
-      const content = card.querySelector('.scenario-content');
-      if (!content) return;
-
-      // Collect all animatable items in order
-      const items = [];
-      const selectors = [
-        '.scenario-meta',
-        '.scenario-title',
-        '.scenario-hook',
-        '.scenario-features li',
-        '.scenario-motif'
-      ];
-
-      selectors.forEach(sel => {
-        content.querySelectorAll(sel).forEach(el => {
-          el.classList.add('reveal-item');
-          items.push(el);
+  onScenariosReady(() => {
+    if (!prefersReducedMotion) {
+      document.querySelectorAll('.scenario-card').forEach(card => {
+        const content = card.querySelector('.scenario-content');
+        if (!content) return;
+
+        // Collect all animatable items in order
+        const items = [];
+        const selectors = [
+          '.scenario-meta',
+          '.scenario-title',
+          '.scenario-hook',
+          '.scenario-features li',
+          '.scenario-motif'
+        ];
+
+        selectors.forEach(sel => {
+          content.querySelectorAll(sel).forEach(el => {
+            el.classList.add('reveal-item');
+            items.push(el);
+          });
         });
-      });
-
-      // Observe the card for when it enters viewport
-      const staggerObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            card.classList.add('in-view');
-
-            // Stagger each item with 120ms delay
-            items.forEach((item, i) => {
-              setTimeout(() => {
-                item.classList.add('revealed');
-              }, 150 + i * 120);
-            });
-
-            staggerObserver.unobserve(entry.target);
-          }
-        });
-      }, { threshold: 0.15, rootMargin: '0px 0px -50px 0px' });
 
-      staggerObserver.observe(card);
-    });
-  } else {
-    // Reduced motion: make everything visible immediately
-    document.querySelectorAll('.scenario-card').forEach(card => {
-      card.classList.add('in-view');
-    });
-  }
+        // Observe the card for when it enters viewport
+        const staggerObserver = new IntersectionObserver((entries) => {
+          entries.forEach(entry => {
+            if (entry.isIntersecting) {
+              card.classList.add('in-view');
+
+              // Stagger each item with 120ms delay
+              items.forEach((item, i) => {
+                setTimeout(() => {
+                  item.classList.add('revealed');
+                }, 150 + i * 120);
+              });
+
+              staggerObserver.unobserve(entry.target);
+            }
+          });
+        }, { threshold: 0.15, rootMargin: '0px 0px -50px 0px' });
+
+        staggerObserver.observe(card);
+      });
+    } else {
+      // Reduced motion: make everything visible immediately
+      document.querySelectorAll('.scenario-card').forEach(card => {
+        card.classList.add('in-view');
+      });
+    }
+  });
 
   console.log('%c🏙️ Future Cities Playground', 'color: #00f0ff; font-size: 16px; font-weight: bold;');
   console.log('%cExploring tomorrow\'s urban visions.', 'color: #9898b8; font-size: 12px;');
@@ -0,0 +1,698 @@
+/* ============================================
+   FUTURE CITIES PLAYGROUND — City Scene
+   ============================================
+   Scene model and renderers for city-canvas, shared by the page (app.js,
+   SVG poster), the OffscreenCanvas worker (city-worker.js) and Node.
+   Classic script: exposes self.CityScene so it loads via <script> or
+   importScripts(), and module.exports under require(). */
+
+(function (root) {
+  'use strict';
+
+  // Seeded PRNG for stable, non-flickering element placement
+  function createSeededRNG(seed) {
+    let s = seed;
+    return function () {
+      s = (s * 16807 + 0) % 2147483647;
+      return (s - 1) / 2147483646;
+    };
+  }
+
+  // Theme colors based on environment
+  const themes = {
+    urban: { sky1: '#0a0a2a', sky2: '#1a0a30', ground: '#111128', accent: '#00f0ff' },
+    coastal: { sky1: '#0a1a2a', sky2: '#0a2540', ground: '#0a1520', accent: '#22d3ee' },
+    mountain: { sky1: '#0a0a20', sky2: '#151530', ground: '#0d0d22', accent: '#a78bfa' },
+    desert: { sky1: '#1a0f0a', sky2: '#301a0a', ground: '#1a1008', accent: '#fb923c' },
+    arctic: { sky1: '#0a1520', sky2: '#102030', ground: '#0f1820', accent: '#60a5fa' }
+  };
+
+  // The themes above are the night palette; daylight and twilight blend
+  // towards these. At DEFAULT_TIME_OF_DAY the scene looks exactly as before.
+  const DEFAULT_TIME_OF_DAY = 22;
+  const DAY_PALETTE = { sky1: '#1d4e89', sky2: '#86b9e0', ground: '#1e2a36' };
+  const DUSK_PALETTE = { sky1: '#2b1b4d', sky2: '#e07b4c', horizon: '#fb923c' };
+
+  function mixColor(a, b, t) {
+    if (t <= 0) return a;
+    const pa = parseInt(a.slice(1), 16);
+    const pb = parseInt(b.slice(1), 16);
+    const channel = (shift) => {
+      const ca = (pa >> shift) & 0xff;
+      const cb = (pb >> shift) & 0xff;
+      return Math.round(ca + (cb - ca) * Math.min(1, t));
+    };
+    return '#' + ((channel(16) << 16) | (channel(8) << 8) | channel(0)).toString(16).padStart(6, '0');
+  }
+
+  function computeLighting(theme, hour) {
+    // 0 at night, 1 at midday; twilight peaks at 06:00 and 18:00
+    const daylight = Math.max(0, Math.sin((hour - 6) / 12 * Math.PI));
+    const twilight = Math.max(0, 1 - Math.min(Math.abs(hour - 6), Math.abs(hour - 18)) / 1.5);
+    return {
+      hour,
+      daylight,
+      sky1: mixColor(mixColor(theme.sky1, DAY_PALETTE.sky1, daylight), DUSK_PALETTE.sky1, twilight * 0.6),
+      sky2: mixColor(mixColor(theme.sky2, DAY_PALETTE.sky2, daylight), DUSK_PALETTE.sky2, twilight * 0.8),
+      ground: mixColor(theme.ground, DAY_PALETTE.ground, daylight * 0.6),
+      groundFade: mixColor(theme.sky1, DAY_PALETTE.ground, daylight * 0.6),
+      horizon: mixColor(theme.accent, DUSK_PALETTE.horizon, twilight),
+      starAlpha: Math.max(0, 1 - daylight * 3 - twilight * 0.5),
+      // Fewer windows are lit in daylight
+      windowThreshold: 0.45 + daylight * 0.4
+    };
+  }
+
+  // ------------------------------------------
+  // Scene Model
+  // ------------------------------------------
+  // Every entity of the city as plain data, in logical units: the scene is
+  // MODEL_WIDTH wide and `height` tall (the preview is 600×400). Renderers
+  // multiply by their own scale, so one model serves the preview, compare
+  // canvases, worker and posters at any resolution. Pure: no DOM, no
+  // canvas, same state + seed always gives the same model.
+  const MODEL_WIDTH = 600;
+  const MODEL_HEIGHT = 400;
+
+  function generateCityModel(state, seed, height) {
+    const w = MODEL_WIDTH;
+    const h = height || MODEL_HEIGHT;
+    const rng = createSeededRNG(seed);
+    const groundY = h * 0.6;
+    const model = {
+      seed,
+      width: w,
+      height: h,
+      groundY,
+      stars: [],
+      buildings: [],
+      trees: [],
+      foliageAlpha: state.greenery > 50 ? 0.55 : 0.35,
+      vehicles: [],
+      hyperloopTubes: [],
+      teleportBeams: [],
+      fusionReactor: null,
+      solarPanels: [],
+      windTurbines: []
+    };
+
+    // Stars; `alpha` is their night brightness, dimmed by the lighting
+    const starCount = Math.floor(15 + state.tech * 0.2);
+    for (let i = 0; i < starCount; i++) {
+      model.stars.push({ x: rng() * w, y: rng() * h * 0.5, radius: rng() * 1.2 + 0.3, alpha: rng() * 0.5 + 0.15 });
+    }
+
+    // Buildings, each with every window slot. `chance` decides whether a
+    // window is lit at a given time of day, `glow` its colour.
+    const buildingCount = Math.floor(6 + state.population * 0.15);
+    const maxHeight = h * 0.12 + (state.population / 100) * h * 0.3;
+
+    for (let i = 0; i < buildingCount; i++) {
+      const jitter = (rng() - 0.5) * w * 0.04;
+      const bx = (i / buildingCount) * w + jitter;
+      const bw = 18 + rng() * 22;
+      const bh = 30 + rng() * maxHeight;
+      const by = groundY - bh;
+
+      const windows = [];
+      const windowRows = Math.floor(bh / 8);
+      const windowCols = Math.floor(bw / 8);
+      for (let wy = 0; wy < windowRows; wy++) {
+        for (let wx = 0; wx < windowCols; wx++) {
+          windows.push({ x: bx + 3 + wx * 8, y: by + 3 + wy * 8, chance: rng(), glow: rng() });
+        }
+      }
+
+      model.buildings.push({
+        x: bx,
+        y: by,
+        width: bw,
+        height: bh,
+        windows,
+        // Antenna tip on tall buildings
+        antenna: bh > maxHeight * 0.6 && state.tech > 50 ? { x: bx + bw / 2, y: by - 12 } : null
+      });
+    }
+
+    // Trees / Green coverage
+    if (state.greenery > 10) {
+      const treeCount = Math.floor(state.greenery * 0.2);
+      for (let i = 0; i < treeCount; i++) {
+        model.trees.push({
+          x: rng() * w,
+          y: groundY - (rng() * 4 + 2),
+          size: 3 + rng() * 4,
+          green: 94 + Math.floor(rng() * 50)
+        });
+      }
+    }
+
+    // Parked flying vehicles
+    if (state.tech > 40 && state.transport === 'aerial') {
+      const vehicleCount = Math.min(Math.floor(state.tech * 0.03), 3);
+      for (let i = 0; i < vehicleCount; i++) {
+        model.vehicles.push({ x: rng() * w * 0.8 + w * 0.1, y: h * 0.12 + rng() * h * 0.25 });
+      }
+    }
+
+    // Hyperloop tubes, curving up by `sag` towards the middle
+    if (state.transport === 'hyperloop') {
+      for (let i = 0; i < 2; i++) {
+        model.hyperloopTubes.push({ y: groundY - (20 + i * 30), sag: 15 });
+      }
+    }
+
+    if (state.transport === 'teleport') {
+      for (let i = 0; i < 3; i++) {
+        model.teleportBeams.push({ x: w * 0.2 + i * w * 0.3, width: 6 });
+      }
+    }
+
+    if (state.energy === 'fusion') {
+      model.fusionReactor = { x: w * 0.8, y: groundY, radius: 35 };
+    }
+
+    // Solar panels use their own sequence so they don't shift with the skyline
+    if (state.energy === 'solar') {
+      const solarRng = createSeededRNG(99);
+      for (let i = 0; i < 4; i++) {
+        model.solarPanels.push({
+          x: w * 0.15 + i * w * 0.18,
+          y: groundY - maxHeight * (0.3 + solarRng() * 0.35),
+          width: 14,
+          height: 3
+        });
+      }
+    }
+
+    if (state.energy === 'wind') {
+      for (let i = 0; i < 3; i++) {
+        model.windTurbines.push({ x: w * 0.15 + i * w * 0.3, y: groundY - 45, baseY: groundY, bladeLength: 18 });
+      }
+    }
+
+    return model;
+  }
+
+  // ------------------------------------------
+  // Scene Renderers
+  // ------------------------------------------
+  // Both draw onto any 2D-context-like target (canvas, OffscreenCanvas or
+  // the SVG poster context) at `scale` pixels per model unit.
+
+  // Static layer; `lighting` defaults to night
+  function drawCityModel(ctx, model, scale, theme, lighting) {
+    const light = lighting || computeLighting(theme, DEFAULT_TIME_OF_DAY);
+    const w = model.width * scale;
+    const h = model.height * scale;
+    const groundY = model.groundY * scale;
+
+    // Sky gradient
+    const skyGrad = ctx.createLinearGradient(0, 0, 0, groundY);
+    skyGrad.addColorStop(0, light.sky1);
+    skyGrad.addColorStop(1, light.sky2);
+    ctx.fillStyle = skyGrad;
+    ctx.fillRect(0, 0, w, groundY);
+
+    // Sun, rising in the east and setting in the west
+    if (light.daylight > 0) {
+      const sunX = w * ((light.hour - 6) / 12);
+      const sunY = h * 0.55 - Math.sin((light.hour - 6) / 12 * Math.PI) * h * 0.45;
+      const sunGrad = ctx.createRadialGradient(sunX, sunY, 0, sunX, sunY, 40 * scale);
+      sunGrad.addColorStop(0, '#fff7d6');
+      sunGrad.addColorStop(0.25, '#ffd58a');
+      sunGrad.addColorStop(1, 'transparent');
+      ctx.beginPath();
+      ctx.arc(sunX, sunY, 40 * scale, 0, Math.PI * 2);
+      ctx.fillStyle = sunGrad;
+      ctx.fill();
+    }
+
+    model.stars.forEach(star => {
+      const alpha = star.alpha * light.starAlpha;
+      if (alpha <= 0) return;
+      ctx.beginPath();
+      ctx.arc(star.x * scale, star.y * scale, star.radius * scale, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(255,255,255,${alpha})`;
+      ctx.fill();
+    });
+
+    // Ground
+    const groundGrad = ctx.createLinearGradient(0, groundY, 0, h);
+    groundGrad.addColorStop(0, light.ground);
+    groundGrad.addColorStop(1, light.groundFade);
+    ctx.fillStyle = groundGrad;
+    ctx.fillRect(0, groundY, w, h - groundY);
+
+    // Horizon glow
+    const horizonGrad = ctx.createRadialGradient(w / 2, groundY, 0, w / 2, groundY, w * 0.4);
+    horizonGrad.addColorStop(0, light.horizon + '25');
+    horizonGrad.addColorStop(1, 'transparent');
+    ctx.fillStyle = horizonGrad;
+    ctx.fillRect(0, groundY - h * 0.12, w, h * 0.24);
+
+    model.buildings.forEach(b => {
+      const bx = b.x * scale;
+      const by = b.y * scale;
+      const bw = b.width * scale;
+      const bh = b.height * scale;
+
+      // Building body
+      const bGrad = ctx.createLinearGradient(bx, by, bx + bw, groundY);
+      bGrad.addColorStop(0, 'rgba(30, 30, 60, 0.9)');
+      bGrad.addColorStop(1, 'rgba(15, 15, 40, 0.95)');
+      ctx.fillStyle = bGrad;
+      ctx.fillRect(bx, by, bw, bh);
+
+      // Building edge glow
+      ctx.strokeStyle = theme.accent + '15';
+      ctx.lineWidth = scale;
+      ctx.strokeRect(bx, by, bw, bh);
+
+      // Windows; fewer are lit in daylight
+      b.windows.forEach(win => {
+        if (win.chance <= light.windowThreshold) return;
+        ctx.fillStyle = win.glow > 0.5
+          ? theme.accent + (Math.floor(win.glow * 60 + 15).toString(16).padStart(2, '0'))
+          : `rgba(255, 200, 100, ${win.glow * 0.35 + 0.08})`;
+        ctx.fillRect(win.x * scale, win.y * scale, 3 * scale, 3 * scale);
+      });
+
+      if (b.antenna) {
+        const ax = b.antenna.x * scale;
+        const ay = b.antenna.y * scale;
+        ctx.strokeStyle = theme.accent + '40';
+        ctx.lineWidth = scale;
+        ctx.beginPath();
+        ctx.moveTo(ax, by);
+        ctx.lineTo(ax, ay);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(ax, ay, 1.5 * scale, 0, Math.PI * 2);
+        ctx.fillStyle = theme.accent + 'aa';
+        ctx.fill();
+      }
+    });
+
+    model.trees.forEach(tree => {
+      const tx = tree.x * scale;
+      const ty = tree.y * scale;
+      const ts = tree.size * scale;
+
+      // Tree top
+      ctx.beginPath();
+      ctx.arc(tx, ty - ts, ts, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(34, 197, ${tree.green}, ${model.foliageAlpha})`;
+      ctx.fill();
+
+      // Trunk
+      ctx.fillStyle = 'rgba(100, 70, 40, 0.35)';
+      ctx.fillRect(tx - scale, ty - ts * 0.3, 2 * scale, ts * 0.6);
+    });
+
+    model.vehicles.forEach(vehicle => {
+      const vx = vehicle.x * scale;
+      const vy = vehicle.y * scale;
+      ctx.beginPath();
+      ctx.ellipse(vx, vy, 4 * scale, 1.5 * scale, 0, 0, Math.PI * 2);
+      ctx.fillStyle = theme.accent + '60';
+      ctx.fill();
+
+      // Trail
+      ctx.beginPath();
+      ctx.moveTo(vx - 4 * scale, vy);
+      ctx.lineTo(vx - 16 * scale, vy);
+      ctx.strokeStyle = theme.accent + '18';
+      ctx.lineWidth = scale;
+      ctx.stroke();
+    });
+
+    model.hyperloopTubes.forEach(tube => {
+      const py = tube.y * scale;
+      ctx.beginPath();
+      ctx.moveTo(0, py);
+      ctx.quadraticCurveTo(w / 2, py - tube.sag * scale, w, py);
+      ctx.strokeStyle = theme.accent + '25';
+      ctx.lineWidth = 2.5 * scale;
+      ctx.stroke();
+    });
+
+    model.teleportBeams.forEach(beam => {
+      const bx = beam.x * scale;
+      const beamGrad = ctx.createLinearGradient(bx, 0, bx, groundY);
+      beamGrad.addColorStop(0, 'transparent');
+      beamGrad.addColorStop(0.3, theme.accent + '08');
+      beamGrad.addColorStop(0.7, theme.accent + '18');
+      beamGrad.addColorStop(1, theme.accent + '04');
+      ctx.fillStyle = beamGrad;
+      ctx.fillRect(bx - beam.width / 2 * scale, 0, beam.width * scale, groundY);
+    });
+
+    if (model.fusionReactor) {
+      const fx = model.fusionReactor.x * scale;
+      const fy = model.fusionReactor.y * scale;
+      const fr = model.fusionReactor.radius * scale;
+      ctx.beginPath();
+      const fGrad = ctx.createRadialGradient(fx, fy, 0, fx, fy, fr);
+      fGrad.addColorStop(0, theme.accent + '30');
+      fGrad.addColorStop(0.5, theme.accent + '10');
+      fGrad.addColorStop(1, 'transparent');
+      ctx.fillStyle = fGrad;
+      ctx.arc(fx, fy, fr, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    model.solarPanels.forEach(panel => {
+      const px = panel.x * scale;
+      const py = panel.y * scale;
+      ctx.fillStyle = 'rgba(100, 160, 255, 0.2)';
+      ctx.fillRect(px, py, panel.width * scale, panel.height * scale);
+      ctx.strokeStyle = theme.accent + '25';
+      ctx.lineWidth = 0.5 * scale;
+      ctx.strokeRect(px, py, panel.width * scale, panel.height * scale);
+    });
+
+    // Wind turbine poles; the blades are in the motion layer
+    model.windTurbines.forEach(turbine => {
+      const tx = turbine.x * scale;
+      const ty = turbine.y * scale;
+      ctx.strokeStyle = 'rgba(200,200,200,0.2)';
+      ctx.lineWidth = 2 * scale;
+      ctx.beginPath();
+      ctx.moveTo(tx, turbine.baseY * scale);
+      ctx.lineTo(tx, ty);
+      ctx.stroke();
+
+      // Hub dot
+      ctx.beginPath();
+      ctx.arc(tx, ty, 2 * scale, 0, Math.PI * 2);
+      ctx.fillStyle = 'rgba(200,200,220,0.3)';
+      ctx.fill();
+    });
+  }
+
+  // Moving transit and turbine parts at time `now` (ms)
+  function drawMotionLayer(ctx, model, scale, theme, now) {
+    const w = model.width * scale;
+
+    // Hyperloop capsules (very slow glide) along their tube curve
+    model.hyperloopTubes.forEach((tube, i) => {
+      const py = tube.y * scale;
+      const cx = (now / 80 + i * 350) % w;
+      const t = cx / w;
+      const curveY = py - tube.sag * scale * 4 * t * (1 - t);
+      ctx.beginPath();
+      ctx.ellipse(cx, curveY - 3 * scale, 6 * scale, 2.5 * scale, 0, 0, Math.PI * 2);
+      ctx.fillStyle = theme.accent + '70';
+      ctx.fill();
+      // Subtle glow
+      ctx.beginPath();
+      ctx.ellipse(cx, curveY - 3 * scale, 10 * scale, 4 * scale, 0, 0, Math.PI * 2);
+      ctx.fillStyle = theme.accent + '10';
+      ctx.fill();
+    });
+
+    // Wind turbine blades (gentle spin)
+    model.windTurbines.forEach((turbine, i) => {
+      const tx = turbine.x * scale;
+      const ty = turbine.y * scale;
+      const length = turbine.bladeLength * scale;
+      for (let b = 0; b < 3; b++) {
+        const angle = (b * Math.PI * 2 / 3) + (now / 4000) + (i * 0.8);
+        ctx.beginPath();
+        ctx.moveTo(tx, ty);
+        ctx.lineTo(tx + Math.cos(angle) * length, ty + Math.sin(angle) * length);
+        ctx.strokeStyle = 'rgba(200,200,255,0.25)';
+        ctx.lineWidth = 1.2 * scale;
+        ctx.stroke();
+      }
+    });
+  }
+
+  // ------------------------------------------
+  // District Model (isometric view)
+  // ------------------------------------------
+  // Lays a skyline model out on a DISTRICT_GRID × DISTRICT_GRID tile map
+  // (the same grid the zoning editor paints).
+  // A transit cross splits it into four districts, filled in the same
+  // left-to-right order as the skyline (back-left, back-right, front-left,
+  // front-right), so the same inputs and seed give the same city in both.
+  const DISTRICT_GRID = 9;
+
+  function generateDistrictModel(city, state) {
+    const n = DISTRICT_GRID;
+    const mid = (n - 1) / 2;
+    const rng = createSeededRNG(city.seed);
+    const tiles = [];
+    for (let row = 0; row < n; row++) {
+      for (let col = 0; col < n; col++) {
+        const axis = row === mid && col === mid ? 'hub' : row === mid ? 'row' : col === mid ? 'col' : null;
+        tiles.push(axis ? { col, row, kind: 'transit', axis } : { col, row, kind: 'empty' });
+      }
+    }
+
+    // Hand-painted zoning (state.zoning: one code per tile, row by row)
+    // takes its tiles first; generated content fills what is left
+    if (state.zoning) {
+      tiles.forEach((tile, i) => {
+        const { col, row } = tile;
+        const props = {
+          r: { kind: 'building', height: 40 + ((col * 7 + row * 3) % 5) * 6, antenna: false },
+          c: { kind: 'building', height: 100 + ((col * 5 + row * 11) % 4) * 20, antenna: state.tech > 50 },
+          g: { kind: 'park', size: 5 },
+          e: { kind: 'energy', source: state.energy },
+          t: { kind: 'transit', axis: 'hub' }
+        }[state.zoning[i]];
+        if (props) Object.assign(tile, props, { zone: state.zoning[i] });
+      });
+    }
+
+    // Skyline x → district 0–3 → free tile in that quadrant
+    const districtAt = (x) => Math.min(3, Math.max(0, Math.floor(x / city.width * 4)));
+    function place(district, props) {
+      const colStart = district % 2 ? mid + 1 : 0;
+      const rowStart = district < 2 ? 0 : mid + 1;
+      const free = tiles.filter(t => t.kind === 'empty' &&
+        t.col >= colStart && t.col < colStart + mid && t.row >= rowStart && t.row < rowStart + mid);
+      if (!free.length) return;
+      Object.assign(free[Math.floor(rng() * free.length)], props);
+    }
+
+    city.buildings.forEach(b => {
+      place(districtAt(b.x + b.width / 2), { kind: 'building', height: b.height, antenna: !!b.antenna });
+    });
+
+    // Energy installations, where the skyline puts them
+    city.windTurbines.forEach(t => place(districtAt(t.x), { kind: 'energy', source: 'wind' }));
+    city.solarPanels.forEach(p => place(districtAt(p.x), { kind: 'energy', source: 'solar' }));
+    if (city.fusionReactor) place(districtAt(city.fusionReactor.x), { kind: 'energy', source: 'fusion' });
+    if (state.energy === 'tidal') {
+      place(2, { kind: 'energy', source: 'tidal' });
+      place(3, { kind: 'energy', source: 'tidal' });
+    }
+
+    // One park per three trees
+    for (let i = 0; i < city.trees.length; i += 3) {
+      place(districtAt(city.trees[i].x), { kind: 'park', size: city.trees[i].size });
+    }
+
+    return { seed: city.seed, size: n, transport: state.transport, tiles };
+  }
+
+  // Isometric renderer. `view` is { zoom, panX, panY } in canvas pixels.
+  function drawDistrictModel(ctx, district, w, h, view, theme, lighting) {
+    const light = lighting || computeLighting(theme, DEFAULT_TIME_OF_DAY);
+    const n = district.size;
+    const tw = w / (n + 2) * view.zoom; // Tile width; tiles are half as tall
+    const u = tw / 48; // Model units → pixels, so heights match the skyline
+    const originX = w / 2 + view.panX;
+    const originY = h * 0.6 - n * tw / 4 + view.panY; // Grid centred 60% down
+    const project = (col, row) => ({ x: originX + (col - row) * tw / 2, y: originY + (col + row) * tw / 4 });
+
+    const skyGrad = ctx.createLinearGradient(0, 0, 0, h);
+    skyGrad.addColorStop(0, light.sky1);
+    skyGrad.addColorStop(1, light.sky2);
+    ctx.fillStyle = skyGrad;
+    ctx.fillRect(0, 0, w, h);
+
+    function diamond(col, row, lift, inset) {
+      const a = project(col + inset, row + inset);
+      const b = project(col + 1 - inset, row + inset);
+      const c = project(col + 1 - inset, row + 1 - inset);
+      const d = project(col + inset, row + 1 - inset);
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y - lift);
+      ctx.lineTo(b.x, b.y - lift);
+      ctx.lineTo(c.x, c.y - lift);
+      ctx.lineTo(d.x, d.y - lift);
+      ctx.closePath();
+    }
+
+    function transitLine(from, to) {
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      if (district.transport === 'hyperloop') {
+        ctx.strokeStyle = theme.accent + '60';
+        ctx.lineWidth = 3 * u;
+        ctx.setLineDash([]);
+      } else {
+        ctx.strokeStyle = theme.accent + '40';
+        ctx.lineWidth = 1.5 * u;
+        ctx.setLineDash([4 * u, 4 * u]);
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    function drawTile(tile) {
+      const { col, row } = tile;
+      const centre = project(col + 0.5, row + 0.5);
+
+      // Ground
+      diamond(col, row, 0, 0);
+      ctx.fillStyle = tile.kind === 'transit' ? light.groundFade : light.ground;
+      ctx.fill();
+      ctx.strokeStyle = theme.accent + '15';
+      ctx.lineWidth = u;
+      ctx.stroke();
+
+      if (tile.kind === 'transit') {
+        if (tile.axis !== 'col') transitLine(project(col, row + 0.5), project(col + 1, row + 0.5));
+        if (tile.axis !== 'row') transitLine(project(col + 0.5, row), project(col + 0.5, row + 1));
+        if (tile.axis === 'hub' && district.transport === 'teleport') {
+          const beamGrad = ctx.createLinearGradient(0, centre.y - 120 * u, 0, centre.y);
+          beamGrad.addColorStop(0, 'transparent');
+          beamGrad.addColorStop(1, theme.accent + '30');
+          ctx.fillStyle = beamGrad;
+          ctx.fillRect(centre.x - 4 * u, centre.y - 120 * u, 8 * u, 120 * u);
+        }
+        if (tile.axis === 'hub' && district.transport === 'aerial') {
+          ctx.beginPath();
+          ctx.ellipse(centre.x, centre.y - 30 * u, 5 * u, 2 * u, 0, 0, Math.PI * 2);
+          ctx.fillStyle = theme.accent + '60';
+          ctx.fill();
+        }
+      } else if (tile.kind === 'building') {
+        const lift = tile.height * u * 0.6;
+        const left = project(tile.col + 0.15, tile.row + 0.85);
+        const front = project(tile.col + 0.85, tile.row + 0.85);
+        const right = project(tile.col + 0.85, tile.row + 0.15);
+
+        // Left and right walls, then the roof
+        ctx.beginPath();
+        ctx.moveTo(left.x, left.y);
+        ctx.lineTo(front.x, front.y);
+        ctx.lineTo(front.x, front.y - lift);
+        ctx.lineTo(left.x, left.y - lift);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(22, 22, 50, 0.95)';
+        ctx.fill();
+        ctx.beginPath();
+        ctx.moveTo(front.x, front.y);
+        ctx.lineTo(right.x, right.y);
+        ctx.lineTo(right.x, right.y - lift);
+        ctx.lineTo(front.x, front.y - lift);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(34, 34, 70, 0.95)';
+        ctx.fill();
+        diamond(tile.col, tile.row, lift, 0.15);
+        ctx.fillStyle = tile.zone === 'r' ? 'rgba(80, 55, 95, 0.95)' : 'rgba(45, 45, 90, 0.95)'; // Warm roofs on homes
+        ctx.fill();
+        ctx.strokeStyle = theme.accent + '30';
+        ctx.lineWidth = u;
+        ctx.stroke();
+
+        // A column of lit windows on each wall
+        ctx.fillStyle = theme.accent + '50';
+        for (let y = 6 * u; y < lift - 4 * u; y += 8 * u) {
+          ctx.fillRect((left.x + front.x) / 2 - u, (left.y + front.y) / 2 - y, 2 * u, 2 * u);
+          ctx.fillRect((front.x + right.x) / 2 - u, (front.y + right.y) / 2 - y, 2 * u, 2 * u);
+        }
+
+        if (tile.antenna) {
+          const top = centre.y - lift;
+          ctx.beginPath();
+          ctx.moveTo(centre.x, top);
+          ctx.lineTo(centre.x, top - 12 * u);
+          ctx.strokeStyle = theme.accent + '60';
+          ctx.stroke();
+          ctx.beginPath();
+          ctx.arc(centre.x, top - 12 * u, 1.5 * u, 0, Math.PI * 2);
+          ctx.fillStyle = theme.accent + 'aa';
+          ctx.fill();
+        }
+      } else if (tile.kind === 'park') {
+        diamond(col, row, 0, 0.1);
+        ctx.fillStyle = 'rgba(34, 197, 94, 0.25)';
+        ctx.fill();
+        [[0.35, 0.4], [0.65, 0.45], [0.5, 0.7]].forEach(([tc, tr]) => {
+          const p = project(col + tc, row + tr);
+          ctx.beginPath();
+          ctx.arc(p.x, p.y - tile.size * u, tile.size * u, 0, Math.PI * 2);
+          ctx.fillStyle = 'rgba(34, 197, 120, 0.6)';
+          ctx.fill();
+        });
+      } else if (tile.kind === 'energy') {
+        if (tile.source === 'solar' || tile.source === 'tidal') {
+          diamond(col, row, 1 * u, 0.15);
+          ctx.fillStyle = tile.source === 'solar' ? 'rgba(100, 160, 255, 0.35)' : 'rgba(34, 211, 238, 0.3)';
+          ctx.fill();
+          ctx.strokeStyle = theme.accent + '40';
+          ctx.lineWidth = 0.5 * u;
+          ctx.stroke();
+        } else if (tile.source === 'fusion') {
+          const glow = ctx.createRadialGradient(centre.x, centre.y, 0, centre.x, centre.y, 24 * u);
+          glow.addColorStop(0, theme.accent + '60');
+          glow.addColorStop(1, 'transparent');
+          ctx.beginPath();
+          ctx.arc(centre.x, centre.y, 24 * u, 0, Math.PI * 2);
+          ctx.fillStyle = glow;
+          ctx.fill();
+        } else if (tile.source === 'wind') {
+          const hubY = centre.y - 45 * u * 0.6;
+          ctx.beginPath();
+          ctx.moveTo(centre.x, centre.y);
+          ctx.lineTo(centre.x, hubY);
+          ctx.strokeStyle = 'rgba(200,200,200,0.35)';
+          ctx.lineWidth = 1.5 * u;
+          ctx.stroke();
+          for (let b = 0; b < 3; b++) {
+            const angle = b * Math.PI * 2 / 3 + col;
+            ctx.beginPath();
+            ctx.moveTo(centre.x, hubY);
+            ctx.lineTo(centre.x + Math.cos(angle) * 12 * u, hubY + Math.sin(angle) * 12 * u);
+            ctx.strokeStyle = 'rgba(200,200,255,0.35)';
+            ctx.lineWidth = u;
+            ctx.stroke();
+          }
+        }
+      }
+    }
+
+    // Back to front
+    district.tiles.slice()
+      .sort((a, b) => (a.col + a.row) - (b.col + b.row))
+      .forEach(drawTile);
+  }
+
+  const CityScene = {
+    createSeededRNG,
+    themes,
+    DEFAULT_TIME_OF_DAY,
+    mixColor,
+    computeLighting,
+    MODEL_WIDTH,
+    generateCityModel,
+    drawCityModel,
+    drawMotionLayer,
+    DISTRICT_GRID,
+    generateDistrictModel,
+    drawDistrictModel
+  };
+
+  root.CityScene = CityScene;
+  // Node: require('./city-scene.js').generateCityModel(...)
+  if (typeof module !== 'undefined' && module.exports) module.exports = CityScene;
+})(typeof self !== 'undefined' ? self : globalThis);
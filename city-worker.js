@@ -0,0 +1,20 @@
+/* ============================================
+   FUTURE CITIES PLAYGROUND — Scene Render Worker
+   ============================================
+   Draws a city model's static layer on an OffscreenCanvas and hands the
+   bitmap back to app.js, keeping window/tree drawing off the main thread.
+   The model itself is generated on the page, which keeps it for the overlay. */
+
+importScripts('city-scene.js');
+
+self.addEventListener('message', (e) => {
+  const { key, w, h, theme, model, lighting } = e.data;
+  try {
+    const canvas = new OffscreenCanvas(w, h);
+    self.CityScene.drawCityModel(canvas.getContext('2d'), model, w / model.width, theme, lighting);
+    const image = canvas.transferToImageBitmap();
+    self.postMessage({ key, image }, [image]);
+  } catch (err) {
+    self.postMessage({ key, error: err.message });
+  }
+});